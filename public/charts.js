@@ -0,0 +1,84 @@
+/* Score charts for the results card, drawn as inline SVG (no chart library or CDN)
+   - Radar: one spoke per metric, scores 0-10 from the centre; needs 3+ metrics
+   - Bars: one horizontal bar per metric; used for fewer than 3 metrics
+   Both color each score by its grade band (rubric gradeBands, see
+   server/scoring.js) through the same `band-<id>` classes as the score badges.
+   Metrics without a valid score are drawn at 0 and labelled "n/a".
+*/
+
+import { escapeHtml } from './markdown.js';
+
+// Used until the rubric's bands are loaded; same as server/scoring.js DEFAULT_GRADE_BANDS
+export const DEFAULT_GRADE_BANDS = [
+  { id: 'interview-ready', label: 'Interview-ready', min: 8 },
+  { id: 'needs-polish', label: 'Needs polish', min: 6 },
+  { id: 'rework', label: 'Rework', min: 0 }
+];
+
+export function scoreBand(score, bands = DEFAULT_GRADE_BANDS) {
+  if (score == null) return null;
+  const sorted = [...bands].sort((a, b) => b.min - a.min);
+  return sorted.find(b => score >= b.min) || sorted[sorted.length - 1];
+}
+
+const bandClass = (score, bands) => {
+  const band = scoreBand(score, bands);
+  return band ? `band-${band.id}` : 'band-none';
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * @param {Array<{ id?: string, metric: string, score: number|null }>} metrics
+ * @param {object[]} [bands]
+ */
+function radarChart(metrics, bands) {
+  const size = 440;
+  const c = size / 2;
+  const r = 140;
+  const point = (i, value) => {
+    const angle = (Math.PI * 2 * i) / metrics.length - Math.PI / 2;
+    return [round1(c + Math.cos(angle) * r * (value / 10)), round1(c + Math.sin(angle) * r * (value / 10))];
+  };
+  const rings = [2, 4, 6, 8, 10].map(v => `<polygon class="chart-grid" points="${metrics.map((_, i) => point(i, v).join(',')).join(' ')}" />`).join('');
+  const spokes = metrics.map((_, i) => { const [x, y] = point(i, 10); return `<line class="chart-grid" x1="${c}" y1="${c}" x2="${x}" y2="${y}" />`; }).join('');
+  const shape = `<polygon class="chart-area" points="${metrics.map((m, i) => point(i, m.score ?? 0).join(',')).join(' ')}" />`;
+  const dots = metrics.map((m, i) => {
+    const [x, y] = point(i, m.score ?? 0);
+    return `<circle class="${bandClass(m.score, bands)}" cx="${x}" cy="${y}" r="4"><title>${escapeHtml(m.metric)}: ${m.score ?? 'n/a'}</title></circle>`;
+  }).join('');
+  const labels = metrics.map((m, i) => {
+    const [x, y] = point(i, 11.5);
+    const anchor = Math.abs(x - c) < 8 ? 'middle' : x > c ? 'start' : 'end';
+    return `<text class="chart-label" x="${x}" y="${y}" text-anchor="${anchor}" dominant-baseline="middle">${i + 1}<title>${escapeHtml(m.metric)}</title></text>`;
+  }).join('');
+  const legend = metrics.map((m, i) => `<li><span class="score-badge ${bandClass(m.score, bands)}">${m.score ?? 'n/a'}</span> ${i + 1}. ${escapeHtml(m.metric)}</li>`).join('');
+  return `<svg class="score-chart" viewBox="0 0 ${size} ${size}" role="img" aria-label="Radar chart of metric scores">${rings}${spokes}${shape}${dots}${labels}</svg><ol class="chart-legend">${legend}</ol>`;
+}
+
+function barChart(metrics, bands) {
+  const rowHeight = 26;
+  const labelWidth = 260;
+  const barWidth = 300;
+  const height = metrics.length * rowHeight + 8;
+  const rows = metrics.map((m, i) => {
+    const y = i * rowHeight + 4;
+    const width = round1(((m.score ?? 0) / 10) * barWidth);
+    return `<g><title>${escapeHtml(m.metric)}: ${m.score ?? 'n/a'}</title>
+      <text class="chart-label" x="${labelWidth - 8}" y="${y + 12}" text-anchor="end" dominant-baseline="middle">${escapeHtml(m.metric)}</text>
+      <rect class="chart-track" x="${labelWidth}" y="${y + 2}" width="${barWidth}" height="${rowHeight - 8}" rx="4" />
+      <rect class="${bandClass(m.score, bands)}" x="${labelWidth}" y="${y + 2}" width="${width}" height="${rowHeight - 8}" rx="4" />
+      <text class="chart-value" x="${labelWidth + barWidth + 8}" y="${y + 12}" dominant-baseline="middle">${m.score ?? 'n/a'}</text></g>`;
+  }).join('');
+  return `<svg class="score-chart score-chart-bars" viewBox="0 0 ${labelWidth + barWidth + 40} ${height}" role="img" aria-label="Bar chart of metric scores">${rows}</svg>`;
+}
+
+/**
+ * SVG markup for a set of metric scores.
+ * @param {Array<{ metric: string, score: number|null }>} metrics
+ * @param {{ type?: 'radar'|'bars', bands?: object[] }} [options] radar falls back to bars below 3 metrics
+ */
+export function scoreChart(metrics, { type = 'radar', bands } = {}) {
+  if (!metrics.length) return '';
+  return type === 'radar' && metrics.length >= 3 ? radarChart(metrics, bands) : barChart(metrics, bands);
+}
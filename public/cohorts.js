@@ -0,0 +1,226 @@
+/* Cohort page for YouTube Explainer Evaluator
+   - Creates and deletes cohorts / playlists and manages their videos
+   - Shows the cohort report (GET /api/cohorts/:id/report): leaderboard,
+     overall score distribution, metric averages and recurring improvements
+   - Leaderboard and metric tables sort by any column
+*/
+
+import { escapeHtml } from './markdown.js';
+
+const $ = (id) => document.getElementById(id);
+const fmt = (n) => (n == null ? '—' : n);
+
+async function api(path, options = {}) {
+  const resp = await fetch(path, { ...options, headers: { 'Content-Type': 'application/json', ...options.headers } });
+  const json = await resp.json();
+  if (!resp.ok) throw new Error(json.error || resp.statusText);
+  return json;
+}
+
+const currentCohortId = () => $('cohortSelect').value;
+
+function setStatus(text) {
+  $('cohortStatus').textContent = text;
+}
+
+/* ---------- Sortable tables ---------- */
+
+// Each table keeps its rows and sort state; clicking a header sorts by that column, again to reverse
+const tables = {};
+
+function renderSortableTable(elId, columns, rows, defaultSort) {
+  // A refresh keeps the chosen sort as long as that column still exists
+  const previous = tables[elId];
+  const state = previous && columns.some(c => c.key === previous.sort.key) ? previous : { sort: defaultSort };
+  state.rows = rows;
+  tables[elId] = state;
+  const { key, dir } = state.sort;
+  const column = columns.find(c => c.key === key);
+  const value = column.value || (row => row[key]);
+  const sorted = [...rows].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    // Missing values sort last in either direction
+    if (va == null || vb == null) return va == null ? (vb == null ? 0 : 1) : -1;
+    return (typeof va === 'number' ? va - vb : String(va).localeCompare(String(vb))) * dir;
+  });
+  const head = columns.map(c => {
+    const arrow = c.key === key ? (dir > 0 ? ' ▲' : ' ▼') : '';
+    return `<th class="sortable" data-key="${c.key}" title="Sort by ${escapeHtml(c.label)}">${escapeHtml(c.label)}${arrow}</th>`;
+  }).join('');
+  const body = sorted.map(row => `<tr>${columns.map(c => `<td>${c.render ? c.render(row) : escapeHtml(fmt(value(row)))}</td>`).join('')}</tr>`).join('');
+  const el = $(elId);
+  el.innerHTML = `<table class="compare-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  el.querySelectorAll('th.sortable').forEach(th => th.addEventListener('click', () => {
+    const nextKey = th.dataset.key;
+    // Scores read best-first, names A-Z
+    const firstDir = columns.find(c => c.key === nextKey).descending ? -1 : 1;
+    state.sort = { key: nextKey, dir: state.sort.key === nextKey ? -state.sort.dir : firstDir };
+    renderSortableTable(elId, columns, state.rows);
+  }));
+}
+
+/* ---------- Cohort list and membership ---------- */
+
+async function loadCohorts(selectId) {
+  const select = $('cohortSelect');
+  try {
+    const { cohorts } = await api('/api/cohorts');
+    select.innerHTML = cohorts.length
+      ? cohorts.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${c.kind}, ${c.videoCount} video${c.videoCount === 1 ? '' : 's'})</option>`).join('')
+      : '<option value="">No cohorts yet</option>';
+    const wanted = selectId || new URLSearchParams(location.search).get('cohort');
+    if (wanted && cohorts.some(c => c.id === wanted)) select.value = wanted;
+    if (!cohorts.length) $('newCohort').open = true;
+    await showCohort();
+  } catch (err) { setStatus('Error: ' + err.message); }
+}
+
+async function showCohort() {
+  const id = currentCohortId();
+  $('deleteCohortBtn').disabled = !id;
+  $('membersSection').hidden = !id;
+  $('reportSection').hidden = !id;
+  if (!id) { setStatus(''); return; }
+  history.replaceState(null, '', `?cohort=${encodeURIComponent(id)}`);
+  try {
+    const cohort = await api(`/api/cohorts/${encodeURIComponent(id)}`);
+    setStatus(cohort.description || `Created ${new Date(cohort.createdAt).toLocaleDateString()}`);
+    renderMembers(cohort);
+    await loadReport();
+  } catch (err) { setStatus('Error: ' + err.message); }
+}
+
+function renderMembers(cohort) {
+  const list = $('membersList');
+  if (!cohort.videos.length) { list.textContent = 'No videos yet.'; return; }
+  list.innerHTML = cohort.videos.map(v => `<div class="history-row">
+      <a href="${escapeHtml(v.url)}" target="_blank" rel="noopener">${escapeHtml(v.title || v.videoId)}</a>
+      <span class="muted">${escapeHtml(v.channel)}</span>
+      <button type="button" class="remove-video" data-video="${escapeHtml(v.videoId)}">Remove</button>
+    </div>`).join('');
+}
+
+async function createCohort() {
+  const name = $('cohortName').value.trim();
+  if (!name) return alert('Enter a name for the cohort');
+  try {
+    const { cohort } = await api('/api/cohorts', {
+      method: 'POST',
+      body: JSON.stringify({ name, kind: $('cohortKind').value, description: $('cohortDescription').value.trim() })
+    });
+    $('cohortName').value = '';
+    $('cohortDescription').value = '';
+    $('newCohort').open = false;
+    await loadCohorts(cohort.id);
+  } catch (err) { setStatus('Error: ' + err.message); }
+}
+
+async function deleteCohort() {
+  const id = currentCohortId();
+  if (!id || !confirm('Delete this cohort? Its videos and evaluations are kept.')) return;
+  try {
+    await api(`/api/cohorts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    history.replaceState(null, '', location.pathname);
+    await loadCohorts();
+  } catch (err) { setStatus('Error: ' + err.message); }
+}
+
+async function addVideos() {
+  const videos = $('addVideos').value.split(/\r?\n/).map(v => v.trim()).filter(Boolean);
+  if (!videos.length) return;
+  try {
+    const json = await api(`/api/cohorts/${encodeURIComponent(currentCohortId())}/videos`, { method: 'POST', body: JSON.stringify({ videos }) });
+    $('addVideos').value = '';
+    await loadCohorts(json.cohort.id);
+    setStatus(`Added ${json.added.length} video(s)${json.added.length < videos.length ? '; the rest were already in the cohort' : ''}.`);
+  } catch (err) { setStatus('Error: ' + err.message); }
+}
+
+async function removeVideo(videoId) {
+  try {
+    await api(`/api/cohorts/${encodeURIComponent(currentCohortId())}/videos/${encodeURIComponent(videoId)}`, { method: 'DELETE' });
+    await loadCohorts(currentCohortId());
+  } catch (err) { setStatus('Error: ' + err.message); }
+}
+
+/* ---------- Report ---------- */
+
+const LEADERBOARD_COLUMNS = [
+  { key: 'rank', label: '#' },
+  { key: 'title', label: 'Video', value: r => r.title || r.videoId, render: r => `<a href="https://www.youtube.com/watch?v=${escapeHtml(r.videoId)}" target="_blank" rel="noopener">${escapeHtml(r.title || r.videoId)}</a>${r.reviewed ? ' <span class="muted" title="Includes reviewer overrides">(reviewed)</span>' : ''}` },
+  { key: 'channel', label: 'Channel' },
+  { key: 'overall', label: 'Overall', descending: true },
+  { key: 'grade', label: 'Grade', value: r => r.grade && r.grade.min, descending: true, render: r => (r.grade ? `<span class="grade grade-${escapeHtml(r.grade.id)}">${escapeHtml(r.grade.label)}</span>` : '—') },
+  { key: 'evaluatedAt', label: 'Evaluated', descending: true, render: r => new Date(r.evaluatedAt).toLocaleDateString() }
+];
+
+const METRIC_COLUMNS = [
+  { key: 'name', label: 'Metric' },
+  { key: 'category', label: 'Category' },
+  { key: 'mean', label: 'Average', descending: true },
+  { key: 'min', label: 'Min', descending: true },
+  { key: 'max', label: 'Max', descending: true },
+  { key: 'count', label: 'Videos', descending: true }
+];
+
+// Category subtotals become extra leaderboard columns, so students can be ranked by any of them
+function leaderboardColumns(report) {
+  const categories = [...new Set(report.leaderboard.flatMap(r => Object.keys(r.categories)))];
+  const extra = categories.map(cat => ({ key: `category:${cat}`, label: cat, descending: true, value: r => r.categories[cat] }));
+  return [...LEADERBOARD_COLUMNS.slice(0, 4), ...extra, ...LEADERBOARD_COLUMNS.slice(4)];
+}
+
+function renderDistribution(dist) {
+  if (!dist.count) return '<p class="muted">No scored videos yet.</p>';
+  const peak = Math.max(...dist.bins.map(b => b.count));
+  const bars = dist.bins.map(b => `<div class="dist-row"><span class="dist-label">${b.from}–${b.to}</span>
+      <span class="dist-bar"><span style="width:${peak ? Math.round((b.count / peak) * 100) : 0}%"></span></span><span class="dist-count">${b.count}</span></div>`).join('');
+  const grades = dist.grades.map(g => `<li><span class="grade grade-${escapeHtml(g.id)}">${escapeHtml(g.label)}</span> <strong>${g.count}</strong></li>`).join('');
+  return `<p>Mean <strong>${dist.mean}</strong> · median <strong>${dist.median}</strong> · range ${dist.min}–${dist.max}</p>
+    <div class="distribution">${bars}</div>
+    <ul class="summary-categories">${grades}</ul>`;
+}
+
+function renderWeaknesses(report) {
+  const improvements = report.commonImprovements.length
+    ? `<ol>${report.commonImprovements.map(i => `<li>${escapeHtml(i.text)} <span class="muted">— ${i.videos} video(s), ${Math.round(i.share * 100)}%</span></li>`).join('')}</ol>`
+    : '<p class="muted">No improvement suggestions recorded yet.</p>';
+  const weakest = report.weakestMetrics.length
+    ? `<h4>Metrics most often among a video's three weakest</h4><ul>${report.weakestMetrics.slice(0, 5).map(m => `<li>${escapeHtml(m.name)} <span class="muted">— ${m.videos} video(s)</span></li>`).join('')}</ul>`
+    : '';
+  return improvements + weakest;
+}
+
+async function loadReport() {
+  const id = currentCohortId();
+  if (!id) return;
+  $('reportMeta').textContent = 'Loading...';
+  try {
+    const report = await api(`/api/cohorts/${encodeURIComponent(id)}/report`);
+    const total = report.cohort.videoCount;
+    $('reportMeta').textContent = `${report.evaluated} of ${total} video(s) evaluated`
+      + (report.unevaluated.length ? ` · not yet evaluated: ${report.unevaluated.map(v => v.title || v.videoId).join(', ')}` : '');
+    if (report.leaderboard.length) renderSortableTable('leaderboard', leaderboardColumns(report), report.leaderboard, { key: 'rank', dir: 1 });
+    else $('leaderboard').innerHTML = '<p class="muted">Run Evaluate ALL on the cohort\'s videos (or a batch) to rank them.</p>';
+    $('distribution').innerHTML = renderDistribution(report.distribution);
+    if (report.metrics.length) renderSortableTable('metricAverages', METRIC_COLUMNS, report.metrics, { key: 'mean', dir: 1 });
+    else $('metricAverages').innerHTML = '';
+    $('weaknesses').innerHTML = renderWeaknesses(report);
+  } catch (err) { $('reportMeta').textContent = 'Error: ' + err.message; }
+}
+
+function init() {
+  $('cohortSelect').addEventListener('change', showCohort);
+  $('createCohortBtn').addEventListener('click', createCohort);
+  $('deleteCohortBtn').addEventListener('click', deleteCohort);
+  $('addVideosBtn').addEventListener('click', addVideos);
+  $('refreshReportBtn').addEventListener('click', loadReport);
+  $('membersList').addEventListener('click', (e) => {
+    const btn = e.target.closest('.remove-video');
+    if (btn) removeVideo(btn.dataset.video);
+  });
+  loadCohorts();
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,72 @@
+/* UI message catalogs
+   - Strings live in locales/<code>.json as flat "section.key" entries;
+     English (en.json) is complete and any key missing from another
+     catalog falls back to it, then to the key itself
+   - t(key, params) fills {name} placeholders from params
+   - Static markup is translated by applyTranslations(): data-i18n sets the
+     element's text, data-i18n-placeholder and data-i18n-title its attributes
+   - The chosen language is remembered in localStorage; a first visit
+     follows the browser language when there is a catalog for it
+   - Only the interface is translated here; the language of the model's
+     feedback is the form's separate "Feedback language" choice
+*/
+
+export const UI_LANGUAGES = { en: 'English', hi: 'हिन्दी', es: 'Español', pt: 'Português' };
+
+const FALLBACK = 'en';
+const STORAGE_KEY = 'uiLanguage';
+
+let locale = FALLBACK;
+let messages = {};
+let fallbackMessages = {};
+
+async function fetchCatalog(code) {
+  const resp = await fetch(`/locales/${code}.json`);
+  if (!resp.ok) throw new Error(`No message catalog for "${code}"`);
+  return resp.json();
+}
+
+export const currentLocale = () => locale;
+
+// Stored choice, else the first browser language with a catalog, else English
+export function preferredLocale() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (stored && stored in UI_LANGUAGES) return stored;
+  const browser = (navigator.languages || [navigator.language || ''])
+    .map(l => String(l).slice(0, 2).toLowerCase())
+    .find(code => code in UI_LANGUAGES);
+  return browser || FALLBACK;
+}
+
+/**
+ * Load the catalog for `code` (and English for missing keys) and make it current.
+ * A catalog that fails to load leaves the English strings in place.
+ */
+export async function loadLocale(code) {
+  if (!(code in UI_LANGUAGES)) code = FALLBACK;
+  if (!Object.keys(fallbackMessages).length) fallbackMessages = await fetchCatalog(FALLBACK);
+  try {
+    messages = code === FALLBACK ? fallbackMessages : await fetchCatalog(code);
+    locale = code;
+  } catch (err) {
+    console.error('Failed to load UI language', err);
+    messages = fallbackMessages;
+    locale = FALLBACK;
+  }
+  localStorage.setItem(STORAGE_KEY, locale);
+  return locale;
+}
+
+export const hasMessage = (key) => key in messages || key in fallbackMessages;
+
+export function t(key, params = {}) {
+  const text = messages[key] ?? fallbackMessages[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  document.documentElement.lang = locale;
+}
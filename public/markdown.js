@@ -0,0 +1,118 @@
+/* Safe Markdown rendering for model output
+   - Everything is HTML-escaped first, so markup in feedback is shown as text,
+     never injected into the page
+   - Then a small Markdown subset is applied: paragraphs and line breaks,
+     "-" / "*" / "1." lists, "#" headings, "> " quotes, ``` code blocks,
+     **bold**, *italic*, `code` and [links](https://...) (http(s) only)
+   - An optional `linkify` callback turns plain-text runs into links (used
+     for "mm:ss" citations into the video); it gets escaped text and must
+     return safe HTML
+*/
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ESCAPES[ch]);
+
+const SAFE_URL = /^https?:\/\//i;
+// Private-use characters can't come from escaped input, so they mark placeholders safely
+const TOKEN = (i) => `\uE000${i}\uE001`;
+const TOKEN_RE = /\uE000(\d+)\uE001/g;
+
+// Inline markup for one line of already-escaped text
+function renderInline(text, linkify) {
+  const tokens = [];
+  const keep = (html) => TOKEN(tokens.push(html) - 1);
+  let out = text
+    .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (SAFE_URL.test(href)
+      ? keep(`<a href="${href}" target="_blank" rel="noopener">${label}</a>`)
+      : match));
+  out = out
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+  // Only text between the tags added above is linkified
+  if (linkify) out = out.split(/(<[^>]+>)/).map((part, i) => (i % 2 ? part : linkify(part))).join('');
+  return out.replace(TOKEN_RE, (_, i) => tokens[Number(i)]);
+}
+
+// One line of Markdown without block structure (list items, short suggestions)
+export const renderInlineMarkdown = (text, { linkify } = {}) => renderInline(escapeHtml(text).replace(/\s*\n\s*/g, ' '), linkify);
+
+const LIST_ITEM = { ul: /^\s*[-*+]\s+(.*)$/, ol: /^\s*\d+[.)]\s+(.*)$/ };
+
+/**
+ * @param {string} text Markdown from the model
+ * @param {{ linkify?: (escapedText: string) => string }} [options]
+ * @returns {string} HTML safe to assign to innerHTML
+ */
+export function renderMarkdown(text, { linkify } = {}) {
+  const lines = escapeHtml(text).replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  const inline = (line) => renderInline(line, linkify);
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    if (heading) {
+      // Results already use h3 for metric names, so model headings sit below them
+      const level = Math.min(6, heading[1].length + 3);
+      html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    const listType = Object.keys(LIST_ITEM).find(type => LIST_ITEM[type].test(line));
+    if (listType) {
+      const items = [];
+      while (i < lines.length && LIST_ITEM[listType].test(lines[i])) {
+        items.push(`<li>${inline(lines[i].match(LIST_ITEM[listType])[1])}</li>`);
+        i++;
+      }
+      html.push(`<${listType}>${items.join('')}</${listType}>`);
+      continue;
+    }
+
+    if (/^\s*&gt;\s?/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*&gt;\s?/.test(lines[i])) {
+        quoted.push(inline(lines[i].replace(/^\s*&gt;\s?/, '')));
+        i++;
+      }
+      html.push(`<blockquote>${quoted.join('<br>')}</blockquote>`);
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines, keeping the model's line breaks
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !/^\s*(```|#{1,6}\s|&gt;)/.test(lines[i]) && !Object.values(LIST_ITEM).some(re => re.test(lines[i]))) {
+      para.push(inline(lines[i].trim()));
+      i++;
+    }
+    html.push(`<p>${para.join('<br>')}</p>`);
+  }
+  return html.join('');
+}
+
+// Markdown syntax stripped, for copying feedback as plain text
+export function markdownToText(text) {
+  return String(text ?? '')
+    .replace(/```\w*\n?/g, '')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '$2')
+    .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1$2')
+    .replace(/^\s*#{1,6}\s+/gm, '');
+}
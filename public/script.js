@@ -2,44 +2,48 @@
    - Handles main form
    - Creates metric buttons and hooks events
    - Calls backend endpoints via fetch
+   - Model text is escaped and rendered as Markdown (markdown.js) before it
+     reaches innerHTML; scores are charted as inline SVG (charts.js)
+   - Interface strings come from the message catalogs in locales/ (i18n.js);
+     metric names are the rubric's and stay as the server sends them
 */
 
-const METRICS = [
-  'Clarity of problem articulation',
-  'Purpose statement strength',
-  'Logical flow of explanation',
-  'Audience understanding level',
-  'Concept simplification quality',
-  'Technical accuracy of explanations',
-  'Confidence in voice delivery',
-  'Degree of passion conveyed',
-  'Pacing and speed of narration',
-  'Structural clarity of content',
-  'Visual organization without styling',
-  'Completeness of topic coverage',
-  'Engagement level of the explanation',
-  'Reasoning transparency',
-  'Justification of technical decisions',
-  'Clarity of transitions between topics',
-  'Interview-readiness of communication',
-  'Problem-solving mindset demonstration',
-  'Career-oriented presentation quality'
-];
+import { escapeHtml, renderMarkdown, renderInlineMarkdown, markdownToText } from './markdown.js';
+import { scoreChart, scoreBand, DEFAULT_GRADE_BANDS } from './charts.js';
+import { UI_LANGUAGES, loadLocale, preferredLocale, currentLocale, applyTranslations, hasMessage, t } from './i18n.js';
 
 const $ = (id) => document.getElementById(id);
 
-function createMetricButtons() {
+// Grade bands from the rubric color the score badges and charts
+let gradeBands = DEFAULT_GRADE_BANDS;
+
+// Buttons come from the server rubric (GET /api/metrics) for the selected video type
+async function createMetricButtons() {
   const container = $('metricsButtons');
-  container.innerHTML = '';
-  METRICS.forEach((m, idx) => {
-    const btn = document.createElement('button');
-    btn.className = 'metric-btn';
-    btn.textContent = `${idx + 1}. ${m}`;
-    btn.addEventListener('click', () => evaluateMetric(m, btn));
-    container.appendChild(btn);
-  });
+  container.textContent = t('metrics.loading');
+  try {
+    const resp = await fetch(`/api/metrics?videoType=${encodeURIComponent($('videoType').value)}`);
+    const rubric = await resp.json();
+    if (!resp.ok) throw new Error(rubric.error || resp.statusText);
+    gradeBands = rubric.gradeBands || DEFAULT_GRADE_BANDS;
+    container.innerHTML = '';
+    rubric.metrics.forEach((m, idx) => {
+      const btn = document.createElement('button');
+      btn.className = 'metric-btn';
+      btn.textContent = `${idx + 1}. ${m.name}`;
+      btn.title = `${t('metrics.buttonTitle', { category: m.category, weight: m.weight })}\n${m.description}`;
+      btn.dataset.category = m.category;
+      btn.addEventListener('click', () => evaluateMetric(m, btn));
+      container.appendChild(btn);
+    });
+  } catch (err) {
+    container.textContent = t('metrics.loadFailed', { error: err.message });
+  }
 }
 
+// Format of the uploaded transcript file; cleared when the textarea is edited by hand
+let transcriptFormat = null;
+
 function readForm() {
   return {
     url: $('url').value.trim(),
@@ -47,147 +51,731 @@ function readForm() {
     purpose: $('purpose').value.trim(),
     keyConcepts: $('keyConcepts').value.trim(),
     justifications: $('justifications').value.trim(),
-    goal: $('goal').value.trim()
+    goal: $('goal').value.trim(),
+    transcript: $('transcript').value.trim() || undefined,
+    transcriptFormat: transcriptFormat || undefined,
+    force: $('forceRefresh').checked || undefined,
+    samples: Number($('samples').value) > 1 ? Number($('samples').value) : undefined,
+    promptVersion: $('promptVersion').value || undefined,
+    feedbackLanguage: $('feedbackLanguage').value || undefined
+  };
+}
+
+// Version the empty prompt option stands for, relabelled when the UI language changes
+let defaultPromptVersion = null;
+
+function labelDefaultPrompt() {
+  if (defaultPromptVersion != null) $('promptVersion').options[0].textContent = t('metrics.promptDefault', { version: defaultPromptVersion });
+}
+
+// Fill the prompt version picker; the empty option keeps the server's default
+async function loadPromptVersions() {
+  try {
+    const resp = await fetch('/api/prompts');
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    const select = $('promptVersion');
+    defaultPromptVersion = json.default;
+    labelDefaultPrompt();
+    json.versions.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.version;
+      option.textContent = `v${template.version}`;
+      option.title = template.description;
+      select.appendChild(option);
+    });
+  } catch (err) { console.error('Failed to load prompt versions', err); }
+}
+
+function formatSeconds(sec) {
+  const m = Math.floor(sec / 60);
+  const s = Math.floor(sec % 60);
+  return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+// One-line pacing summary shown above results when a transcript was used
+function pacingSummary(transcript) {
+  if (!transcript || !transcript.pacing) return '';
+  const p = transcript.pacing;
+  const parts = [t('transcript.summary', { segments: transcript.segmentCount, words: p.wordCount })];
+  if (p.wordsPerMinute != null) parts.push(t('transcript.pace', { wpm: p.wordsPerMinute, duration: formatSeconds(p.durationSeconds) }));
+  if (p.longPauses && p.longPauses.length) parts.push(t('transcript.pauses', { count: p.longPauses.length }));
+  return `<p class="pacing">${escapeHtml(parts.join(' · '))}</p>`;
+}
+
+// Link to the video at a given second (works for watch?v= and youtu.be URLs)
+function videoLinkAt(videoUrl, seconds) {
+  try {
+    const u = new URL(videoUrl);
+    u.searchParams.set('t', `${Math.floor(seconds)}s`);
+    return u.toString();
+  } catch (err) {
+    return null;
+  }
+}
+
+const CITATION_RE = /\b(\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[–-]\s*(\d{1,2}:\d{2}(?::\d{2})?))?/g;
+
+function toSeconds(stamp) {
+  return stamp.split(':').map(Number).reduce((acc, n) => acc * 60 + n, 0);
+}
+
+// Turn "03:12–03:40" style citations in (already escaped) feedback text into links into the video
+function linkifyTimestamps(text, videoUrl) {
+  if (!text || !videoUrl) return text;
+  return String(text).replace(CITATION_RE, (match, start) => {
+    const href = videoLinkAt(videoUrl, toSeconds(start));
+    return href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${match}</a>` : match;
+  });
+}
+
+function renderEvidence(evidence, videoUrl) {
+  if (!Array.isArray(evidence) || !evidence.length) return '';
+  const items = evidence.map(ev => {
+    const range = `${formatSeconds(ev.start)}–${formatSeconds(ev.end ?? ev.start)}`;
+    const href = videoLinkAt(videoUrl, ev.start);
+    const label = href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${range}</a>` : range;
+    const flag = ev.verified ? '' : ` <span class="unverified" title="${escapeHtml(t('evidence.unverifiedTitle'))}">${escapeHtml(t('evidence.unverified'))}</span>`;
+    return `<li>${label}${flag}${ev.quote ? ` — “${escapeHtml(ev.quote)}”` : ''}</li>`;
+  });
+  return `<ul class="evidence">${items.join('')}</ul>`;
+}
+
+function loadTranscriptFile(evt) {
+  const file = evt.target.files[0];
+  if (!file) return;
+  const ext = file.name.split('.').pop().toLowerCase();
+  const reader = new FileReader();
+  reader.onload = () => {
+    $('transcript').value = reader.result;
+    transcriptFormat = ext === 'srt' || ext === 'vtt' ? ext : 'text';
   };
+  reader.onerror = () => alert(t('status.transcriptReadFailed'));
+  reader.readAsText(file);
 }
 
-function setLoading(state, text = 'Loading...') {
+async function fetchStoredTranscript() {
+  const url = $('url').value.trim();
+  if (!url) return alert(t('status.enterUrlFirst'));
+  setLoading(true, t('status.fetchingTranscript'));
+  try {
+    const resp = await fetch(`/api/transcript?url=${encodeURIComponent(url)}`);
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    const transcript = json.transcript;
+    if (transcript) {
+      // Rebuild an editable text version; timings are kept as [mm:ss] prefixes
+      $('transcript').value = transcript.segments.map(s => (s.start != null ? `[${formatSeconds(s.start)}] ` : '') + s.text).join('\n');
+      transcriptFormat = 'text';
+      $('resultsContent').innerHTML = pacingSummary({ ...transcript, segmentCount: transcript.segments.length }) || escapeHtml(t('status.loadedTranscript'));
+    } else {
+      $('resultsContent').textContent = t('status.noTranscript');
+    }
+  } catch (err) { $('resultsContent').textContent = t('status.error', { message: err.message }); }
+}
+
+// Typed server errors (server/llmErrors.js, usage.js, language.js) have an "error.<code>" message in the catalogs
+function apiError(json, resp) {
+  const known = json.code && hasMessage(`error.${json.code}`);
+  const err = new Error(known ? t(`error.${json.code}`) : json.error || (resp && resp.statusText) || t('status.requestFailed'));
+  err.code = json.code;
+  return err;
+}
+
+function setLoading(state, text = t('status.loading')) {
   const results = $('resultsContent');
   if (state) {
-    results.innerHTML = `<em>${text}</em>`;
+    results.innerHTML = `<em>${escapeHtml(text)}</em>`;
+    setExportTarget(null);
   }
 }
 
+// Export buttons download the report for whichever saved evaluation is on screen
+let exportEvaluationId = null;
+
+function setExportTarget(id) {
+  exportEvaluationId = id || null;
+  document.querySelectorAll('.export-btn').forEach(btn => { btn.disabled = !exportEvaluationId; });
+}
+
+function download(href) {
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = '';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function exportCurrent(format) {
+  if (!exportEvaluationId) return;
+  download(`/api/evaluations/${encodeURIComponent(exportEvaluationId)}/export?format=${format}`);
+}
+
+// One CSV row per selected run, one column per metric
+function exportSelected() {
+  const ids = selectedHistoryIds();
+  if (ids.length) download(`/api/evaluations/export?format=csv&ids=${ids.map(encodeURIComponent).join(',')}`);
+}
+
 async function evaluateMetric(metric, btn) {
   const data = readForm();
-  if (!data.url) return alert('Please enter a YouTube URL');
-  setLoading(true, `Evaluating: ${metric}`);
+  if (!data.url) return alert(t('status.enterUrl'));
+  setLoading(true, t('status.evaluatingMetric', { metric: metric.name }));
   btn.disabled = true;
   try {
     const resp = await fetch('/api/evaluate-metric', {
       method: 'POST', headers: {'Content-Type':'application/json'},
-      body: JSON.stringify({ ...data, metric })
+      body: JSON.stringify({ ...data, metric: metric.id })
     });
     const json = await resp.json();
-    renderMetricResult(metric, json);
+    if (!resp.ok) throw apiError(json, resp);
+    renderMetricResult(metric.id, json, data.url);
+    loadHistory();
   } catch (err) {
-    $('resultsContent').textContent = 'Error: ' + err.message;
+    $('resultsContent').textContent = t('status.error', { message: err.message });
   } finally {
     btn.disabled = false;
   }
 }
 
-function renderMetricResult(metric, payload) {
+// Identical requests are answered from the server's response cache
+function renderCacheNotice(payload) {
+  return payload.cached ? `<p class="cache-notice">${escapeHtml(t('notice.cached'))}</p>` : '';
+}
+
+// Detected video language and feedback language (server/language.js); nothing for all-English runs
+function renderLanguageNotice(payload) {
+  const lang = payload.language;
+  if (!lang || (lang.feedback === 'en' && (lang.input || 'en') === 'en')) return '';
+  const feedback = t(`language.${lang.feedback}`);
+  const text = lang.input ? t('notice.language', { input: t(`language.${lang.input}`), feedback }) : t('notice.languageUndetected', { feedback });
+  return `<p class="cache-notice">${escapeHtml(text)}</p>`;
+}
+
+// Tokens and estimated cost of the run's model calls (server/usage.js)
+function renderUsageNotice(payload) {
+  const u = payload.usage;
+  if (!u || !u.calls) return '';
+  const cost = u.unpriced.length ? t('notice.unpriced', { models: u.unpriced.join(', ') }) : t('notice.cost', { cost: u.costUsd.toFixed(4) });
+  const text = t(u.estimated ? 'notice.usageEstimated' : 'notice.usage', { tokens: u.totalTokens.toLocaleString(), calls: u.calls, cost });
+  return `<p class="cache-notice">${escapeHtml(text)}</p>`;
+}
+
+// Shown when the model's reply still didn't match the schema after the server's repair attempts
+function renderValidationErrors(payload) {
+  const errors = payload.validation_errors;
+  if (!Array.isArray(errors) || !errors.length) return '';
+  return `<details class="validation-errors"><summary>${escapeHtml(t('results.validationErrors', { count: errors.length, attempts: payload.attempts || 1 }))}</summary><ul>${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul></details>`;
+}
+
+// Consistency mode: how much the samples agreed on this metric's score
+function renderConfidence(c) {
+  if (!c) return '';
+  const low = escapeHtml(t('confidence.low'));
+  if (c.median == null) return `<span class="confidence confidence-low" title="${escapeHtml(t('confidence.noScore'))}">${low}</span>`;
+  const detail = escapeHtml(t('confidence.detail', { median: c.median, min: c.min, max: c.max, stddev: c.stddev, count: c.scores.length, scores: c.scores.join(', ') }));
+  return c.lowConfidence
+    ? `<span class="confidence confidence-low" title="${detail}">${low}</span>`
+    : `<span class="confidence confidence-ok" title="${detail}">${escapeHtml(t('confidence.ok'))}</span>`;
+}
+
+function renderSamplesNotice(payload) {
+  const s = payload.samples;
+  if (!s) return '';
+  const failed = s.requested - s.succeeded;
+  const text = t(failed ? 'notice.samplesFailed' : 'notice.samples', { count: s.succeeded, failed, maxStddev: s.maxStddev });
+  return `<p class="cache-notice">${escapeHtml(text)}</p>`;
+}
+
+// Reviewer override for a saved run: the human score is shown beside the model's, never instead of it
+function renderReview(m, review) {
+  const current = review
+    ? `<p class="review-current"><strong>${escapeHtml(review.reviewer ? t('review.reviewerNamed', { name: review.reviewer }) : t('review.reviewer'))}: ${review.humanScore}</strong>${review.note ? ` — ${escapeHtml(review.note)}` : ''}</p>`
+    : '';
+  return `${current}<details class="review" data-metric="${escapeHtml(m.id)}">
+    <summary>${escapeHtml(t(review ? 'review.edit' : 'review.override'))}</summary>
+    <div class="row">
+      <input type="number" class="review-score" min="1" max="10" step="1" value="${review ? review.humanScore : ''}" placeholder="${escapeHtml(t('review.scorePlaceholder'))}" />
+      <input type="text" class="review-reviewer" value="${escapeHtml(review ? review.reviewer : localStorage.getItem('reviewerName') || '')}" placeholder="${escapeHtml(t('review.namePlaceholder'))}" />
+    </div>
+    <textarea class="review-note" rows="2" placeholder="${escapeHtml(t('review.notePlaceholder'))}">${escapeHtml(review ? review.note : '')}</textarea>
+    <div class="row">
+      <button type="button" class="review-save">${escapeHtml(t('review.save'))}</button>
+      ${review ? `<button type="button" class="review-remove">${escapeHtml(t('review.remove'))}</button>` : ''}
+    </div>
+  </details>`;
+}
+
+// Score colored by its grade band (the rubric's gradeBands)
+function scoreBadge(score) {
+  const band = scoreBand(score, gradeBands);
+  return `<span class="score-badge ${band ? `band-${escapeHtml(band.id)}` : 'band-none'}" title="${band ? escapeHtml(band.label) : escapeHtml(t('results.noScore'))}">${score ?? 'n/a'}</span>`;
+}
+
+// What the Copy button puts on the clipboard: plain text, Markdown syntax removed
+function metricCopyText(m, videoUrl) {
+  const lines = [`${m.metric}: ${m.score ?? 'n/a'}/10`, '', markdownToText(m.feedback ?? t('results.noFeedback'))];
+  (m.evidence || []).forEach(ev => lines.push(`- ${formatSeconds(ev.start)}–${formatSeconds(ev.end ?? ev.start)}${ev.quote ? ` “${ev.quote}”` : ''}${videoUrl ? ` ${videoLinkAt(videoUrl, ev.start) || ''}` : ''}`.trimEnd()));
+  return lines.join('\n');
+}
+
+// One collapsible section per metric, used for single-metric, evaluate-all and streamed results.
+// `payload` is passed for saved runs only; it enables reviewer overrides.
+function renderMetricEntry(m, videoUrl, payload, { open = true } = {}) {
+  const feedback = m.feedback != null
+    ? renderMarkdown(m.feedback, { linkify: text => linkifyTimestamps(text, videoUrl) })
+    : `<p><em>${escapeHtml(t('results.noFeedback'))}</em></p>`;
+  const review = payload && payload.evaluationId && m.id ? renderReview(m, (payload.reviews || {})[m.id]) : '';
+  return `<details class="metric-section"${open ? ' open' : ''}>`
+    + `<summary><h3>${escapeHtml(m.metric)}</h3>${scoreBadge(m.score)}${renderConfidence(m.consistency)}`
+    + `<button type="button" class="copy-btn" data-copy="${escapeHtml(metricCopyText(m, videoUrl))}" title="${escapeHtml(t('results.copyTitle'))}">${escapeHtml(t('results.copy'))}</button></summary>`
+    + `<div class="metric-body md">${feedback}${renderEvidence(m.evidence, videoUrl)}${review}</div></details>`;
+}
+
+async function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+  // Plain-http deployments have no Clipboard API
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  const ok = document.execCommand('copy');
+  area.remove();
+  if (!ok) throw new Error('Copy failed');
+}
+
+async function copyMetric(btn) {
+  try {
+    await copyToClipboard(btn.dataset.copy);
+    btn.textContent = t('results.copied');
+  } catch (err) {
+    btn.textContent = t('results.copyFailed');
+  }
+  setTimeout(() => { btn.textContent = t('results.copy'); }, 1500);
+}
+
+// Radar for evaluate-all (bars below 3 metrics); the choice is remembered
+let chartType = localStorage.getItem('chartType') || 'radar';
+let chartMetrics = [];
+
+function renderChart(metrics) {
+  chartMetrics = metrics;
+  const toggle = metrics.length >= 3
+    ? `<div class="chart-controls">${['radar', 'bars'].map(type => `<button type="button" class="chart-type${type === chartType ? ' active' : ''}" data-chart-type="${type}">${escapeHtml(type === 'radar' ? t('chart.radar') : t('chart.bars'))}</button>`).join('')}</div>`
+    : '';
+  return `<div class="chart-block">${toggle}<div id="scoreChart">${scoreChart(metrics, { type: chartType, bands: gradeBands })}</div></div>`;
+}
+
+function switchChart(type) {
+  chartType = type;
+  localStorage.setItem('chartType', type);
+  $('scoreChart').innerHTML = scoreChart(chartMetrics, { type, bands: gradeBands });
+  document.querySelectorAll('.chart-type').forEach(btn => btn.classList.toggle('active', btn.dataset.chartType === type));
+}
+
+async function saveReview(details, remove) {
+  const metricId = details.dataset.metric;
+  const url = `/api/evaluations/${encodeURIComponent(exportEvaluationId)}/reviews/${encodeURIComponent(metricId)}`;
+  const reviewer = details.querySelector('.review-reviewer').value.trim();
+  try {
+    const resp = remove
+      ? await fetch(url, { method: 'DELETE' })
+      : await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ score: Number(details.querySelector('.review-score').value), note: details.querySelector('.review-note').value, reviewer })
+      });
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    if (reviewer) localStorage.setItem('reviewerName', reviewer);
+    showEvaluation(exportEvaluationId);
+    loadHistory();
+  } catch (err) {
+    alert(t('review.notSaved', { message: err.message }));
+  }
+}
+
+// parsed is always { metrics: [...], common_improvements: [...] } (see server/evaluationSchema.js)
+function renderMetricResult(metricId, payload, videoUrl) {
   const el = $('resultsContent');
-  if (!payload) { el.textContent = 'No response'; return; }
-
-  if (payload.parsed) {
-    // parsed may be array/object. Find the metric entry
-    let found = null;
-    const p = payload.parsed;
-    if (Array.isArray(p)) found = p.find(x => x.metric && x.metric.includes(metric));
-    else if (p.metric && p.metric.includes(metric)) found = p;
-    else if (p.results) {
-      found = p.results.find(r => r.metric && r.metric.includes(metric));
-    } else if (Array.isArray(p.metrics)) {
-      found = p.metrics.find(r => r.metric && r.metric.includes(metric));
-    }
+  setExportTarget(payload && payload.evaluationId);
+  if (!payload) { el.textContent = t('results.noResponse'); return; }
+  const found = payload.parsed && Array.isArray(payload.parsed.metrics) && payload.parsed.metrics.find(m => m.id === metricId || m.metric === metricId);
+  if (!found) { el.textContent = payload.raw || JSON.stringify(payload, null, 2); return; }
+  el.innerHTML = renderCacheNotice(payload) + renderLanguageNotice(payload) + renderSamplesNotice(payload) + renderUsageNotice(payload) + pacingSummary(payload.transcript) + renderValidationErrors(payload)
+    + renderChart([found]) + `<div id="metric-${escapeHtml(found.id)}" class="metric-result">${renderMetricEntry(found, videoUrl, payload)}</div>`;
+}
 
-    if (found) {
-      el.innerHTML = `<h3>${metric}</h3>Score: <strong>${found.score}</strong>\n\nFeedback:\n${found.feedback}`;
-      return;
+// Aborting this cancels the running evaluate-all; the server aborts its model calls when the stream closes
+let evaluateAllController = null;
+
+// Split a text/event-stream body into { event, data } messages as chunks arrive
+async function* readEventStream(resp) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length) yield { event, data: JSON.parse(data.join('\n')) };
     }
   }
+}
 
-  // Fallback: show raw
-  el.textContent = payload.raw || JSON.stringify(payload, null, 2);
+// One placeholder per metric, filled in as each group's results stream in
+function renderStreamSkeleton(metrics) {
+  $('resultsContent').innerHTML = `<div class="stream-progress"><progress id="streamProgress" max="${metrics.length}" value="0"></progress> <span id="streamCount">${escapeHtml(t('results.streamCount', { completed: 0, total: metrics.length }))}</span></div>`
+    + '<div class="all-scores">' + metrics.map(m => `<div id="metric-${escapeHtml(m.id)}" class="metric-result pending"><h3>${escapeHtml(m.name)}</h3><em class="muted">${escapeHtml(t('results.waiting'))}</em></div>`).join('') + '</div>';
+}
+
+function renderStreamGroup(event, videoUrl) {
+  event.metrics.forEach(m => {
+    const el = $(`metric-${m.id}`);
+    if (!el) return;
+    el.classList.remove('pending');
+    el.innerHTML = event.ok ? renderMetricEntry(m, videoUrl, undefined, { open: false }) : `<h3>${escapeHtml(m.metric)}</h3><em class="partial-notice">${escapeHtml(t('results.groupFailed', { error: event.error }))}</em>`;
+  });
+  $('streamProgress').value = event.completed;
+  $('streamCount').textContent = t('results.streamCount', { completed: event.completed, total: event.total });
+}
+
+async function evaluateAllOnce(data, signal) {
+  setLoading(true, t('status.evaluatingAll'));
+  const resp = await fetch('/api/evaluate-all', { method: 'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(data), signal });
+  const json = await resp.json();
+  if (!resp.ok) throw apiError(json, resp);
+  renderAllResults(json, data.url);
+  loadHistory();
 }
 
 async function evaluateAll() {
   const data = readForm();
-  if (!data.url) return alert('Please enter a YouTube URL');
-  setLoading(true, 'Evaluating all metrics (this may take a while)...');
+  if (!data.url) return alert(t('status.enterUrl'));
+  setLoading(true, t('status.starting'));
   $('evaluateAllBtn').disabled = true;
+  $('cancelEvaluateBtn').hidden = false;
+  evaluateAllController = new AbortController();
   try {
-    const resp = await fetch('/api/evaluate-all', { method: 'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(data) });
-    const json = await resp.json();
-    renderAllResults(json);
+    const resp = await fetch('/api/evaluate-all/stream', {
+      method: 'POST', headers: {'Content-Type':'application/json'},
+      body: JSON.stringify(data), signal: evaluateAllController.signal
+    });
+    // Backends without the streaming route (the Lambda) get the single-response request
+    if (resp.status === 404) return await evaluateAllOnce(data, evaluateAllController.signal);
+    if (!resp.ok) {
+      const json = await resp.json().catch(() => ({}));
+      throw apiError(json, resp);
+    }
+    for await (const { event, data: payload } of readEventStream(resp)) {
+      if (event === 'start') renderStreamSkeleton(payload.metrics);
+      else if (event === 'metrics') renderStreamGroup(payload, data.url);
+      else if (event === 'result') { renderAllResults(payload, data.url); loadHistory(); }
+      else if (event === 'error') throw apiError(payload);
+    }
   } catch (err) {
-    $('resultsContent').textContent = 'Error: ' + err.message;
+    if (err.name === 'AbortError') {
+      const count = $('streamCount');
+      const text = count ? t('results.cancelledAfter', { count: count.textContent }) : t('results.cancelled');
+      $('resultsContent').insertAdjacentHTML('afterbegin', `<p class="partial-notice">${escapeHtml(text)}</p>`);
+    } else {
+      $('resultsContent').textContent = t('status.error', { message: err.message });
+    }
   } finally {
+    evaluateAllController = null;
     $('evaluateAllBtn').disabled = false;
+    $('cancelEvaluateBtn').hidden = true;
   }
 }
 
-function renderAllResults(payload) {
+// Overall weighted score, grade band, category subtotals and the three weakest metrics
+function renderSummary(summary) {
+  if (!summary || summary.overall == null) return '';
+  const grade = summary.grade ? `<span class="grade grade-${escapeHtml(summary.grade.id)}">${escapeHtml(summary.grade.label)}</span>` : '';
+  const cats = Object.entries(summary.categories)
+    .map(([name, score]) => `<li><span>${escapeHtml(name)}</span><strong>${score}</strong></li>`)
+    .join('');
+  const weakest = summary.weakest
+    .map(w => `<li><a href="#metric-${escapeHtml(w.id)}" class="metric-link">${escapeHtml(w.metric)}</a> — ${scoreBadge(w.score)}</li>`)
+    .join('');
+  const unscored = summary.unscored.length ? `<p class="muted">${escapeHtml(t('results.unscored', { count: summary.unscored.length }))}</p>` : '';
+  return `<div class="summary">
+    <div class="summary-overall"><span class="overall-score">${summary.overall}</span><span class="muted">${escapeHtml(t('results.weighted'))}</span>${grade}</div>
+    <ul class="summary-categories">${cats}</ul>
+    <div class="summary-weakest"><h4>${escapeHtml(t('results.focusFirst'))}</h4><ol>${weakest}</ol></div>
+    ${unscored}
+  </div>`;
+}
+
+function renderAllResults(payload, videoUrl) {
   const el = $('resultsContent');
-  if (!payload) { el.textContent = 'No response'; return; }
-  if (payload.parsed) {
-    const parsed = payload.parsed;
-    // If parsed is an object with array of metrics
-    let metricsArr = [];
-    if (Array.isArray(parsed)) metricsArr = parsed;
-    else if (parsed.metrics) metricsArr = parsed.metrics;
-    else if (parsed.results) metricsArr = parsed.results;
-    else {
-      // try to find metric-like props
-      metricsArr = Object.values(parsed).filter(v => v && v.metric && v.score);
-    }
+  setExportTarget(payload && payload.evaluationId);
+  if (!payload) { el.textContent = t('results.noResponse'); return; }
+  const parsed = payload.parsed;
+  if (!parsed || !Array.isArray(parsed.metrics)) { el.textContent = payload.raw || JSON.stringify(payload, null, 2); return; }
+
+  // Weakest metrics start expanded, the rest collapsed
+  const weakIds = new Set(((payload.summary && payload.summary.weakest) || []).map(w => w.id));
+  let html = renderChart(parsed.metrics)
+    + `<div class="row section-controls"><button type="button" data-sections="open">${escapeHtml(t('results.expandAll'))}</button><button type="button" data-sections="close">${escapeHtml(t('results.collapseAll'))}</button></div>`
+    + '<div class="all-scores">';
+  parsed.metrics.forEach(m => {
+    html += `<div id="metric-${escapeHtml(m.id)}" class="metric-result${weakIds.has(m.id) ? ' weak' : ''}">${renderMetricEntry(m, videoUrl, payload, { open: weakIds.has(m.id) })}</div>`;
+  });
+  html += '</div>';
+
+  if (parsed.common_improvements.length) {
+    const linkify = text => linkifyTimestamps(text, videoUrl);
+    html += `<div class="md"><h3>${escapeHtml(t('results.improvements'))}</h3><ul>` + parsed.common_improvements.map(s => `<li>${renderInlineMarkdown(s, { linkify })}</li>`).join('') + '</ul></div>';
+  }
+
+  // Chunked evaluate-all: some metric groups may have failed while others succeeded
+  const failed = (payload.groups || []).filter(g => !g.ok);
+  const partial = failed.length
+    ? `<p class="partial-notice">${escapeHtml(t('results.partial', { count: failed.reduce((n, g) => n + g.metrics.length, 0) }))}</p>`
+    : '';
 
-    let html = '';
-    if (metricsArr.length) {
-      html += '<div class="all-scores">';
-      metricsArr.forEach(m => {
-        html += `<h3>${m.metric}</h3><strong>Score: ${m.score}</strong><div>${m.feedback}</div><hr>`;
+  el.innerHTML = renderCacheNotice(payload) + renderLanguageNotice(payload) + renderSamplesNotice(payload) + renderUsageNotice(payload) + renderSummary(payload.summary) + pacingSummary(payload.transcript) + partial + renderValidationErrors(payload) + html;
+}
+
+// History panel: past runs for the current URL, with two-run comparison
+async function loadHistory() {
+  const url = $('url').value.trim();
+  const list = $('historyList');
+  $('compareBtn').disabled = true;
+  $('exportSelectedBtn').disabled = true;
+  if (!url) { list.textContent = t('history.enterUrl'); return; }
+  try {
+    const resp = await fetch(`/api/evaluations?url=${encodeURIComponent(url)}`);
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    if (!json.evaluations.length) { list.textContent = t('history.empty'); return; }
+    list.innerHTML = '';
+    json.evaluations.forEach(ev => {
+      const row = document.createElement('div');
+      row.className = 'history-row';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.value = ev.id;
+      check.addEventListener('change', updateCompareButton);
+      const open = document.createElement('button');
+      open.type = 'button';
+      const what = ev.type === 'all' ? t('history.allMetrics') : Object.keys(ev.scores)[0] || t('history.singleMetric');
+      const avg = ev.overallScore != null
+        ? ` — ${t('history.weighted', { score: ev.overallScore })}${ev.grade ? ` (${ev.grade.label})` : ''}`
+        : ev.averageScore != null ? ` — ${t('history.average', { score: ev.averageScore })}` : '';
+      const lowConfidence = ev.lowConfidence.length ? `, ${t('history.lowConfidence', { count: ev.lowConfidence.length })}` : '';
+      const sampled = ev.samples > 1 ? ` · ${t('history.samples', { count: ev.samples })}${lowConfidence}` : '';
+      open.textContent = `${new Date(ev.createdAt).toLocaleString()} · ${what}${avg}${sampled}`;
+      open.title = t('history.runTitle', { model: ev.model, version: ev.promptVersion });
+      open.addEventListener('click', () => showEvaluation(ev.id));
+      row.append(check, open);
+      list.appendChild(row);
+    });
+  } catch (err) { list.textContent = t('status.error', { message: err.message }); }
+}
+
+function selectedHistoryIds() {
+  return [...document.querySelectorAll('#historyList input:checked')].map(c => c.value);
+}
+
+function updateCompareButton() {
+  const count = selectedHistoryIds().length;
+  $('compareBtn').disabled = count !== 2;
+  $('exportSelectedBtn').disabled = count === 0;
+}
+
+async function showEvaluation(id) {
+  setLoading(true, t('status.loadingEvaluation'));
+  try {
+    const resp = await fetch(`/api/evaluations/${encodeURIComponent(id)}`);
+    const record = await resp.json();
+    if (!resp.ok) throw new Error(record.error || resp.statusText);
+    const payload = { evaluationId: record.id, raw: record.raw, parsed: record.parsed, summary: record.summary, validation_errors: record.validation_errors, transcript: record.transcript, reviews: record.reviews, language: record.language };
+    if (record.type === 'all') renderAllResults(payload, record.url);
+    else renderMetricResult(record.metrics[0], payload, record.url);
+  } catch (err) { $('resultsContent').textContent = t('status.error', { message: err.message }); }
+}
+
+// Calibration: how closely model scores match reviewer overrides, per metric
+async function loadCalibration() {
+  const el = $('calibrationContent');
+  const videoType = $('calibrationAll').checked ? '' : $('videoType').value;
+  el.textContent = t('status.loading');
+  try {
+    const resp = await fetch(`/api/calibration${videoType ? `?videoType=${encodeURIComponent(videoType)}` : ''}`);
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    if (!json.overall.reviews) { el.textContent = t('calibration.empty'); return; }
+    const fmt = (n) => (n == null ? '—' : n);
+    const pct = (n) => (n == null ? '—' : `${Math.round(n * 100)}%`);
+    const STATUS = { reliable: t('calibration.reliable'), 'needs-work': t('calibration.needsWork'), 'insufficient-data': t('calibration.insufficientData', { count: json.thresholds.minReviews }) };
+    const reviewed = escapeHtml(t('calibration.summary', { reviews: json.overall.reviews, evaluations: json.reviewedEvaluations }));
+    let html = `<p>${reviewed} · MAE <strong>${json.overall.mae}</strong> · r <strong>${fmt(json.overall.correlation)}</strong> · ${escapeHtml(t('calibration.bias'))} ${json.overall.bias > 0 ? '+' : ''}${json.overall.bias}</p>`;
+    const headings = [t('calibration.metric'), t('calibration.reviews'), 'MAE', 'r', t('calibration.bias'), t('calibration.withinOne'), t('calibration.status')];
+    html += `<table class="compare-table"><thead><tr>${headings.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>`;
+    json.metrics.forEach(m => {
+      html += `<tr><td>${escapeHtml(m.name)}</td><td>${m.reviews}</td><td>${fmt(m.mae)}</td><td>${fmt(m.correlation)}</td><td>${fmt(m.bias)}</td><td>${pct(m.withinOne)}</td><td class="calibration-${m.status}">${escapeHtml(STATUS[m.status])}</td></tr>`;
+    });
+    el.innerHTML = html + '</tbody></table>';
+  } catch (err) { el.textContent = t('status.error', { message: err.message }); }
+}
+
+async function compareSelected() {
+  // Oldest selected run is the baseline
+  const [target, base] = selectedHistoryIds();
+  setLoading(true, t('status.comparing'));
+  try {
+    const resp = await fetch(`/api/evaluations/compare?base=${encodeURIComponent(base)}&target=${encodeURIComponent(target)}`);
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    const sign = (n) => (n > 0 ? `+${n}` : `${n}`);
+    let html = `<h3>${escapeHtml(t('compare.heading'))}</h3><p>${new Date(json.base.createdAt).toLocaleString()} → ${new Date(json.target.createdAt).toLocaleString()}`;
+    if (json.averageDelta != null) html += ` · ${escapeHtml(t('compare.averageChange'))} <strong>${sign(json.averageDelta)}</strong>`;
+    html += '</p>';
+    if (json.deltas.length) {
+      const headings = [t('compare.metric'), t('compare.before'), t('compare.after'), t('compare.change')];
+      html += `<table class="compare-table"><thead><tr>${headings.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>`;
+      json.deltas.forEach(d => {
+        const cls = d.delta > 0 ? 'up' : d.delta < 0 ? 'down' : '';
+        html += `<tr><td>${escapeHtml(d.metric)}</td><td>${d.base}</td><td>${d.target}</td><td class="${cls}">${sign(d.delta)}</td></tr>`;
       });
-      html += '</div>';
+      html += '</tbody></table>';
+    } else {
+      html += `<p>${escapeHtml(t('compare.noCommon'))}</p>`;
     }
+    $('resultsContent').innerHTML = html;
+  } catch (err) { $('resultsContent').textContent = t('status.error', { message: err.message }); }
+}
 
-    if (parsed.common_improvements) {
-      html += '<h3>Common Improvement Suggestions</h3><ul>' + parsed.common_improvements.map(s => `<li>${s}</li>`).join('') + '</ul>';
-    }
+// "12:30", "1:02:03" or plain seconds; empty clears the duration
+function parseDuration(text) {
+  const value = text.trim();
+  if (!value) return null;
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(value)) throw new Error(t('video.badDuration'));
+  return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
 
-    if (!html) html = payload.raw || JSON.stringify(parsed, null, 2);
-    el.innerHTML = html;
-    return;
-  }
-  el.textContent = payload.raw || JSON.stringify(payload, null, 2);
+function fillVideoDetails(video) {
+  $('titleInput').value = video ? video.title : '';
+  $('channelInput').value = video ? video.channel : '';
+  $('durationInput').value = video && video.durationSeconds != null ? formatSeconds(video.durationSeconds) : '';
+  $('tagsInput').value = video ? video.tags.join(', ') : '';
+  $('notesInput').value = video ? video.notes : '';
 }
 
-async function fetchStoredTitle() {
+// Video records are keyed by YouTube video ID, so any link form of the same video finds them
+async function loadVideoDetails() {
   const url = $('url').value.trim();
-  if (!url) return alert('Enter URL first');
-  setLoading(true, 'Fetching stored title...');
+  if (!url) return alert(t('status.enterUrlFirst'));
+  setLoading(true, t('status.loadingVideo'));
   try {
-    const resp = await fetch(`/api/video-title?url=${encodeURIComponent(url)}`);
+    const resp = await fetch(`/api/videos/${encodeURIComponent(url)}`);
     const json = await resp.json();
-    if (json.title) {
-      $('titleInput').value = json.title;
-      $('resultsContent').textContent = `Found title: ${json.title}`;
-    } else {
-      $('resultsContent').textContent = 'No stored title for this URL.';
+    if (resp.status === 404) {
+      fillVideoDetails(null);
+      $('resultsContent').textContent = t('video.notFound');
+      return;
     }
-  } catch (err) { $('resultsContent').textContent = 'Error: ' + err.message; }
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    fillVideoDetails(json);
+    const extras = [json.hasTranscript ? t('video.transcriptStored') : t('video.noTranscript'), t('video.evaluationCount', { count: json.evaluationCount })];
+    $('resultsContent').textContent = t('video.loaded', { id: json.id, extras: extras.join(', ') });
+  } catch (err) { $('resultsContent').textContent = t('status.error', { message: err.message }); }
 }
 
-async function saveTitle() {
+async function saveVideoDetails() {
   const url = $('url').value.trim();
-  const title = $('titleInput').value.trim();
-  if (!url || !title) return alert('URL and title required');
-  setLoading(true, 'Saving title...');
+  if (!url) return alert(t('status.enterUrlFirst'));
+  setLoading(true, t('status.savingVideo'));
   try {
-    const resp = await fetch('/api/video-title', { method: 'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ url, title }) });
+    const body = {
+      url,
+      title: $('titleInput').value.trim(),
+      channel: $('channelInput').value.trim(),
+      durationSeconds: parseDuration($('durationInput').value),
+      tags: $('tagsInput').value.split(',').map(tag => tag.trim()).filter(Boolean),
+      notes: $('notesInput').value.trim()
+    };
+    const resp = await fetch('/api/videos', { method: 'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(body) });
     const json = await resp.json();
-    if (json.ok) $('resultsContent').textContent = `Saved title for ${url}`;
-    else $('resultsContent').textContent = 'Save failed: ' + JSON.stringify(json);
-  } catch (err) { $('resultsContent').textContent = 'Error: ' + err.message; }
+    if (!resp.ok) throw new Error(json.error || resp.statusText);
+    $('resultsContent').textContent = json.created ? t('video.created', { id: json.video.id }) : t('video.updated', { id: json.video.id });
+  } catch (err) { $('resultsContent').textContent = t('status.error', { message: err.message }); }
 }
 
-function init() {
+// Static labels come from data-i18n attributes; lists already on screen are re-rendered
+async function setUiLanguage(code) {
+  await loadLocale(code);
+  applyTranslations();
+  labelDefaultPrompt();
+  loadHistory();
+}
+
+async function init() {
+  const select = $('uiLanguage');
+  select.innerHTML = Object.entries(UI_LANGUAGES).map(([code, name]) => `<option value="${code}">${escapeHtml(name)}</option>`).join('');
+  await loadLocale(preferredLocale()).catch(err => console.error('Failed to load UI language', err));
+  select.value = currentLocale();
+  applyTranslations();
+  $('resultsContent').textContent = t('results.none');
+  $('calibrationContent').textContent = t('calibration.intro');
+  loadHistory();
+  select.addEventListener('change', () => setUiLanguage(select.value));
+
   createMetricButtons();
+  loadPromptVersions();
   $('evaluateAllBtn').addEventListener('click', evaluateAll);
-  $('fetchTitleBtn').addEventListener('click', fetchStoredTitle);
-  $('saveTitleBtn').addEventListener('click', saveTitle);
+  document.querySelectorAll('.export-btn').forEach(btn => btn.addEventListener('click', () => exportCurrent(btn.dataset.format)));
+  $('exportSelectedBtn').addEventListener('click', exportSelected);
+  $('cancelEvaluateBtn').addEventListener('click', () => { if (evaluateAllController) evaluateAllController.abort(); });
+  $('videoType').addEventListener('change', createMetricButtons);
+  $('fetchVideoBtn').addEventListener('click', loadVideoDetails);
+  $('saveVideoBtn').addEventListener('click', saveVideoDetails);
+  $('transcriptFile').addEventListener('change', loadTranscriptFile);
+  $('transcript').addEventListener('input', () => { transcriptFormat = null; });
+  $('fetchTranscriptBtn').addEventListener('click', fetchStoredTranscript);
+  $('refreshHistoryBtn').addEventListener('click', loadHistory);
+  $('compareBtn').addEventListener('click', compareSelected);
+  $('resultsContent').addEventListener('click', (e) => {
+    const copy = e.target.closest('.copy-btn');
+    if (copy) {
+      e.preventDefault(); // the button sits in a <summary>; don't toggle the section
+      copyMetric(copy);
+      return;
+    }
+    const chartBtn = e.target.closest('.chart-type');
+    if (chartBtn) return switchChart(chartBtn.dataset.chartType);
+    const sections = e.target.closest('[data-sections]');
+    if (sections) {
+      document.querySelectorAll('#resultsContent .metric-section').forEach(d => { d.open = sections.dataset.sections === 'open'; });
+      return;
+    }
+    // "Focus first" links open the section they point to
+    const link = e.target.closest('a.metric-link');
+    if (link) {
+      const section = document.querySelector(`${link.getAttribute('href')} .metric-section`);
+      if (section) section.open = true;
+      return;
+    }
+    const btn = e.target.closest('.review-save, .review-remove');
+    if (btn) saveReview(btn.closest('.review'), btn.classList.contains('review-remove'));
+  });
+  $('calibrationBtn').addEventListener('click', loadCalibration);
+  $('url').addEventListener('change', loadHistory);
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,38 @@
+/*
+  Access check for the admin routes (response cache stats and purge), shared
+  by server.js and the Lambda handler.
+  - With ADMIN_TOKEN set, requests must send `Authorization: Bearer <token>`
+    (401 otherwise).
+  - Without it the routes are open only for local development: they answer
+    403 when NODE_ENV is "production" or when running in AWS Lambda, so a
+    deployment that forgot the token fails closed.
+*/
+
+import crypto from 'crypto';
+
+function accessError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameToken = (a, b) => {
+  const [x, y] = [Buffer.from(a), Buffer.from(b)];
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * Throw a 401 / 403 error (with `status` and `code`) unless the request may use the admin routes.
+ * @param {string|undefined} authorization the request's Authorization header
+ */
+export function checkAdminAccess(authorization, env = process.env) {
+  const token = env.ADMIN_TOKEN;
+  if (token) {
+    if (!sameToken(authorization || '', `Bearer ${token}`)) throw accessError(401, 'Admin token required', 'admin_token_required');
+    return;
+  }
+  if (env.NODE_ENV === 'production' || env.AWS_LAMBDA_FUNCTION_NAME) {
+    throw accessError(403, 'Admin routes are disabled: set ADMIN_TOKEN to enable them', 'admin_disabled');
+  }
+}
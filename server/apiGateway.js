@@ -0,0 +1,172 @@
+/*
+  API Gateway proxy events <-> HTTP, for the Lambda handler
+  (amplify/functions/evaluator/index.js) and its local emulation in server.js.
+  - requestFromEvent reads a REST API (payload v1) or HTTP API (payload 2.0)
+    event into { method, path, query, headers, body }: the stage prefix of
+    a named v2 stage and a leading /api are dropped so routes match however
+    the function is mounted, header names are lowercased and base64 bodies
+    decoded
+  - jsonBody parses the body, with a 400 for anything but a JSON object
+  - eventFromRequest / sendLambdaResult turn an Express request into the
+    event API Gateway would send and apply the handler's result the way API
+    Gateway would, including its 502 / 500 for malformed results and thrown
+    errors (LAMBDA_EMULATION=v1|v2, see server.js)
+*/
+
+import crypto from 'crypto';
+
+export const PAYLOAD_VERSIONS = ['v1', 'v2'];
+
+// Stage names used for emulated events; v1 paths exclude the stage, v2 rawPath includes it unless $default
+const EMULATED_STAGE = { v1: 'dev', v2: '$default' };
+
+// Bodies API Gateway passes as text; everything else arrives base64-encoded
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|[\w.+-]+\+json|jsonl|x-ndjson|xml|x-www-form-urlencoded)\b)/i;
+
+function badRequest(message, code) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Normalize an API Gateway proxy event (payload v1 or 2.0).
+ * @returns {{ method: string, path: string, query: object, headers: object, body: string }}
+ *   `path` without stage or /api prefix and without a trailing slash, e.g. '/evaluate-all'
+ */
+export function requestFromEvent(event = {}) {
+  const v2 = event.version === '2.0';
+  const method = (v2 ? event.requestContext?.http?.method : event.httpMethod) || 'GET';
+  let path = (v2 ? event.rawPath : event.path) || '/';
+  const stage = event.requestContext?.stage;
+  if (v2 && stage && stage !== '$default' && (path === `/${stage}` || path.startsWith(`/${stage}/`))) {
+    path = path.slice(stage.length + 1);
+  }
+  if (path === '/api' || path.startsWith('/api/')) path = path.slice('/api'.length);
+  path = path.replace(/\/+$/, '') || '/';
+
+  const headers = Object.fromEntries(Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  if (v2 && event.cookies?.length && !headers.cookie) headers.cookie = event.cookies.join('; ');
+  const body = event.body == null ? '' : event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : String(event.body);
+  return { method: method.toUpperCase(), path, query: { ...event.queryStringParameters }, headers, body };
+}
+
+// Request body as a JSON object ({} when empty); 400 invalid_json otherwise
+export function jsonBody(request) {
+  if (!request.body.trim()) return {};
+  let body;
+  try {
+    body = JSON.parse(request.body);
+  } catch (err) {
+    throw badRequest(`Request body is not valid JSON: ${err.message}`, 'invalid_json');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Request body must be a JSON object', 'invalid_json');
+  return body;
+}
+
+/**
+ * The proxy event API Gateway would send for an Express request.
+ * `req.body` must be the raw Buffer (express.raw) so the body is passed through unparsed.
+ * @param {'v1'|'v2'} version REST API (v1) or HTTP API (2.0) payload format
+ */
+export function eventFromRequest(req, version) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const stage = EMULATED_STAGE[version];
+  const multiQuery = {};
+  for (const [name, value] of url.searchParams) (multiQuery[name] ||= []).push(value);
+  const hasQuery = Object.keys(multiQuery).length > 0;
+
+  const contentType = req.headers['content-type'] || '';
+  const raw = Buffer.isBuffer(req.body) && req.body.length ? req.body : null;
+  const isBase64Encoded = Boolean(raw && contentType && !TEXT_CONTENT_TYPE.test(contentType));
+  const body = raw ? raw.toString(isBase64Encoded ? 'base64' : 'utf8') : null;
+
+  const now = new Date();
+  const requestId = crypto.randomUUID();
+  const sourceIp = req.socket.remoteAddress || '127.0.0.1';
+  const userAgent = req.headers['user-agent'] || '';
+
+  if (version === 'v1') {
+    const multiValueHeaders = {};
+    for (let i = 0; i < req.rawHeaders.length; i += 2) (multiValueHeaders[req.rawHeaders[i]] ||= []).push(req.rawHeaders[i + 1]);
+    return {
+      resource: '/{proxy+}',
+      path: url.pathname,
+      httpMethod: req.method,
+      headers: Object.fromEntries(Object.entries(multiValueHeaders).map(([name, values]) => [name, values[values.length - 1]])),
+      multiValueHeaders,
+      queryStringParameters: hasQuery ? Object.fromEntries(Object.entries(multiQuery).map(([name, values]) => [name, values[values.length - 1]])) : null,
+      multiValueQueryStringParameters: hasQuery ? multiQuery : null,
+      pathParameters: { proxy: url.pathname.slice(1) },
+      stageVariables: null,
+      requestContext: {
+        accountId: '123456789012',
+        apiId: 'local',
+        resourcePath: '/{proxy+}',
+        httpMethod: req.method,
+        path: `/${stage}${url.pathname}`,
+        stage,
+        protocol: `HTTP/${req.httpVersion}`,
+        requestId,
+        requestTime: now.toUTCString(),
+        requestTimeEpoch: now.getTime(),
+        identity: { sourceIp, userAgent }
+      },
+      body,
+      isBase64Encoded
+    };
+  }
+
+  const { cookie, ...headers } = req.headers;
+  return {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: stage === '$default' ? url.pathname : `/${stage}${url.pathname}`,
+    rawQueryString: url.search.slice(1),
+    ...(cookie && { cookies: cookie.split(/;\s*/) }),
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, Array.isArray(value) ? value.join(',') : value])),
+    ...(hasQuery && { queryStringParameters: Object.fromEntries(Object.entries(multiQuery).map(([name, values]) => [name, values.join(',')])) }),
+    requestContext: {
+      accountId: '123456789012',
+      apiId: 'local',
+      domainName: req.headers.host || 'localhost',
+      domainPrefix: (req.headers.host || 'localhost').split('.')[0],
+      http: { method: req.method, path: url.pathname, protocol: `HTTP/${req.httpVersion}`, sourceIp, userAgent },
+      requestId,
+      routeKey: '$default',
+      stage,
+      time: now.toUTCString(),
+      timeEpoch: now.getTime()
+    },
+    ...(body !== null && { body }),
+    isBase64Encoded
+  };
+}
+
+// API Gateway's own answer when the function throws or returns something it can't proxy
+export function sendLambdaError(res, version) {
+  if (version === 'v1') res.status(502).json({ message: 'Internal server error' });
+  else res.status(500).json({ message: 'Internal Server Error' });
+}
+
+/**
+ * Apply a handler result to an Express response as API Gateway would: statusCode, headers,
+ * multiValueHeaders, v2 cookies and base64 bodies. A v2 result without a statusCode is
+ * sent as a 200 JSON body; other malformed results get API Gateway's error response.
+ */
+export function sendLambdaResult(res, result, version) {
+  if (version === 'v2' && (result === null || typeof result !== 'object' || result.statusCode === undefined)) {
+    return res.status(200).json(result ?? null);
+  }
+  if (!result || typeof result !== 'object' || !Number.isInteger(result.statusCode) || (result.body != null && typeof result.body !== 'string')) {
+    console.error('Malformed Lambda proxy response', result);
+    return sendLambdaError(res, version);
+  }
+  res.status(result.statusCode);
+  for (const [name, value] of Object.entries(result.headers || {})) res.set(name, String(value));
+  for (const [name, values] of Object.entries(result.multiValueHeaders || {})) res.set(name, values.map(String));
+  if (version === 'v2' && result.cookies?.length) res.append('Set-Cookie', result.cookies);
+  if (result.body == null) return res.end();
+  res.send(result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body);
+}
@@ -0,0 +1,414 @@
+/*
+  The /api routes shared by the Express server (server.js) and the Lambda
+  handler (amplify/functions/evaluator/index.js). Each route is written once
+  here, so the deployed function answers exactly as `npm run dev` does.
+  - createApiRoutes returns the route table: { method, path, handle }
+    entries with Express-style paths ('/videos/:id', without the /api
+    prefix), in match order. server.js registers each one under /api;
+    routeRequest matches API Gateway requests (apiGateway.js) against it
+  - a handler takes { method, path, params, query, headers, body }, with
+    `body` the parsed JSON object ({} when empty), and returns an API Gateway
+    proxy result { statusCode, headers, body }
+  - errors carrying a `status` (bad input, not found, budget, typed model
+    errors) answer { error, code } with that status; anything else answers
+    500. Unexpected errors and 5xx are logged
+  Routes that need a long-lived process (the evaluate-all stream, batch
+  jobs) and the static UI stay in server.js.
+*/
+
+import { loadRubric, metricsForVideoType } from './rubric.js';
+import { loadPromptTemplate, describePromptTemplates } from './prompts.js';
+import { DEFAULT_GRADE_BANDS } from './scoring.js';
+import { summarizeEvaluation, compareEvaluations, applyReview, removeReview } from './evaluations.js';
+import { calibrationReport, parseThresholds } from './calibration.js';
+import { canonicalVideoUrl, resolveVideo, videoIdOf, upsertVideoRecord, videoRecords, videoLinks } from './videos.js';
+import { exportEvaluation, evaluationsToCSV } from './reports.js';
+import { cohortId, createCohort, updateCohort, addVideos, removeVideo, summarizeCohort, cohortReport } from './cohorts.js';
+import { parseUsageRange, usageReport } from './usage.js';
+import { transcriptSummary } from './pipeline.js';
+import { parseEvaluateRequest } from './evaluationService.js';
+import { jsonBody } from './apiGateway.js';
+import { checkAdminAccess } from './adminAuth.js';
+
+export function json(statusCode, body) {
+  return { statusCode, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+// Report downloads (Markdown, HTML, CSV) are sent as text; `download: false` shows them inline
+function file(body, contentType, filename, download = true) {
+  return { statusCode: 200, headers: { 'Content-Type': contentType, ...(download && { 'Content-Disposition': `attachment; filename="${filename}"` }) }, body };
+}
+
+export function errorResult(err) {
+  if (!err.status || err.status >= 500) console.error(err);
+  return json(err.status || 500, { error: err.message || 'Internal error', code: err.code });
+}
+
+/**
+ * @param {object} options
+ * @param {() => Promise<object>} options.getStore storage backend (storage.js) getter
+ * @param {object} options.evaluationService from createEvaluationService (evaluationService.js)
+ * @param {object} options.responseCache the model response cache (responseCache.js) for the admin routes
+ * @param {string} [options.linkBase] prefix of the `links` returned with video records, e.g. '/api'
+ * @returns {{ method: string, path: string, handle: (request: object) => Promise<object> }[]}
+ */
+export function createApiRoutes({ getStore, evaluationService, responseCache, linkBase = '' }) {
+  const { getVideo, getTranscript, saveTranscript, readUsage } = evaluationService;
+  const readVideoDB = async () => (await getStore()).all('videos');
+  const getEvaluation = async (id) => (await getStore()).get('evaluations', id);
+  const readEvaluationDB = async () => (await getStore()).all('evaluations');
+
+  // Video record plus whether a transcript and evaluations exist for it
+  async function describeVideo(record) {
+    const [transcript, evaluations] = await Promise.all([getTranscript(record.id), readEvaluationDB()]);
+    return {
+      ...record,
+      hasTranscript: Boolean(transcript),
+      evaluationCount: Object.values(evaluations).filter(e => videoIdOf(e) === record.id).length,
+      links: videoLinks(record.id, linkBase)
+    };
+  }
+
+  // Cohort record with its members' titles and channels
+  async function describeCohort(record) {
+    const videos = await readVideoDB();
+    return {
+      ...record,
+      videos: record.videoIds.map(id => ({ videoId: id, url: canonicalVideoUrl(id), title: videos[id]?.title || '', channel: videos[id]?.channel || '' }))
+    };
+  }
+
+  const videoNotFound = (id) => json(404, { error: 'Video not found', id });
+  const evaluationNotFound = () => json(404, { error: 'Evaluation not found' });
+  const cohortNotFound = (id) => json(404, { error: 'Cohort not found', id });
+  const route = (method, path, handle) => ({ method, path, handle });
+
+  return [
+    route('GET', '/metrics', async ({ query }) => {
+      const rubric = await loadRubric();
+      return json(200, {
+        version: rubric.version,
+        categories: rubric.categories,
+        videoTypes: rubric.videoTypes,
+        gradeBands: rubric.gradeBands || DEFAULT_GRADE_BANDS,
+        metrics: metricsForVideoType(rubric, query.videoType)
+      });
+    }),
+
+    /* ---------- Videos ---------- */
+
+    route('GET', '/videos', async () => {
+      const videos = videoRecords(await readVideoDB()).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+      return json(200, { videos: videos.map(v => ({ ...v, links: videoLinks(v.id, linkBase) })) });
+    }),
+
+    // `:id` may also be a URL-encoded YouTube link in any of its forms
+    route('GET', '/videos/:id', async ({ params }) => {
+      const { videoId } = resolveVideo(params.id);
+      const record = await getVideo(videoId);
+      return record ? json(200, await describeVideo(record)) : videoNotFound(videoId);
+    }),
+
+    // Create or update by URL: { url, title, channel, durationSeconds, tags, notes }
+    route('POST', '/videos', async ({ body }) => {
+      const { url, ...fields } = body;
+      const { videoId } = resolveVideo(url);
+      let created = false;
+      const record = await (await getStore()).update('videos', videoId, current => {
+        created = !current;
+        return upsertVideoRecord(current || undefined, videoId, fields);
+      });
+      return json(created ? 201 : 200, { ok: true, created, video: await describeVideo(record) });
+    }),
+
+    route('PUT', '/videos/:id', async ({ params, body }) => {
+      const { videoId } = resolveVideo(params.id);
+      const record = await (await getStore()).update('videos', videoId, current => (current ? upsertVideoRecord(current, videoId, body) : undefined));
+      return record ? json(200, { ok: true, video: await describeVideo(record) }) : videoNotFound(videoId);
+    }),
+
+    // The transcript and evaluations are kept
+    route('DELETE', '/videos/:id', async ({ params }) => {
+      const { videoId } = resolveVideo(params.id);
+      return (await (await getStore()).delete('videos', videoId)) ? json(200, { ok: true, id: videoId }) : videoNotFound(videoId);
+    }),
+
+    /* ---------- Transcripts ---------- */
+
+    route('GET', '/transcript', async ({ query }) => {
+      if (!query.url) return json(400, { error: 'Missing url parameter' });
+      const video = resolveVideo(query.url);
+      return json(200, { ...video, transcript: await getTranscript(video.videoId) });
+    }),
+
+    route('POST', '/transcript', async ({ body }) => {
+      const { url, transcript, transcriptFormat } = body;
+      if (!url || !transcript) return json(400, { error: 'url and transcript required' });
+      const video = resolveVideo(url);
+      const record = await saveTranscript(video.videoId, transcript, transcriptFormat);
+      return json(200, { ok: true, ...video, transcript: transcriptSummary(record) });
+    }),
+
+    /* ---------- Evaluation ---------- */
+
+    route('POST', '/evaluate-metric', async ({ body }) => {
+      const request = await parseEvaluateRequest(body, 'metric');
+      return json(200, await evaluationService.evaluate(request, { endpoint: 'evaluate-metric' }));
+    }),
+
+    route('POST', '/evaluate-all', async ({ body }) => {
+      const request = await parseEvaluateRequest(body, 'all');
+      return json(200, await evaluationService.evaluate(request, { endpoint: 'evaluate-all' }));
+    }),
+
+    // A/B: the same input evaluated with two prompt template versions, both saved to history,
+    // returned side by side with per-metric score deltas (positive = version b scored higher).
+    // Evaluates every metric for the videoType, or only `metric` when given.
+    route('POST', '/evaluate-ab', async ({ body }) => {
+      const request = await parseEvaluateRequest(body, 'ab');
+      return json(200, await evaluationService.evaluateAB(request));
+    }),
+
+    route('GET', '/prompts', async () => json(200, await describePromptTemplates())),
+
+    route('GET', '/prompts/:version', async ({ params }) => {
+      try {
+        return json(200, await loadPromptTemplate(params.version));
+      } catch (err) {
+        if (err.code === 'unknown_prompt_version') return json(404, { error: err.message, code: err.code });
+        throw err;
+      }
+    }),
+
+    /* ---------- Evaluation history ---------- */
+
+    // Past runs for the video, any URL form, newest first
+    route('GET', '/evaluations', async ({ query }) => {
+      if (!query.url) return json(400, { error: 'Missing url parameter' });
+      const video = resolveVideo(query.url);
+      const evaluations = Object.values(await readEvaluationDB())
+        .filter(e => videoIdOf(e) === video.videoId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarizeEvaluation);
+      return json(200, { ...video, evaluations });
+    }),
+
+    // Before /evaluations/:id so "compare" isn't taken for an id
+    route('GET', '/evaluations/compare', async ({ query }) => {
+      const { base, target } = query;
+      if (!base || !target) return json(400, { error: 'base and target evaluation ids required' });
+      const [baseRecord, targetRecord] = await Promise.all([getEvaluation(base), getEvaluation(target)]);
+      const missing = [[base, baseRecord], [target, targetRecord]].filter(([, record]) => !record).map(([id]) => id);
+      if (missing.length) return json(404, { error: `Evaluation not found: ${missing.join(', ')}` });
+      return json(200, compareEvaluations(baseRecord, targetRecord));
+    }),
+
+    // Spreadsheet view across videos: the listed ids, or else the latest evaluate-all run per video
+    route('GET', '/evaluations/export', async ({ query }) => {
+      const format = query.format || 'csv';
+      if (format !== 'csv') return json(400, { error: 'Multi-evaluation export is only available as csv' });
+      const db = await readEvaluationDB();
+      let records;
+      if (query.ids) {
+        const ids = String(query.ids).split(',').map(id => id.trim()).filter(Boolean);
+        const missing = ids.filter(id => !db[id]);
+        if (missing.length) return json(404, { error: `Evaluation not found: ${missing.join(', ')}` });
+        records = ids.map(id => db[id]);
+      } else {
+        const latest = new Map();
+        Object.values(db).filter(e => e.type === 'all').forEach(e => {
+          const key = videoIdOf(e) || e.url;
+          if (!latest.has(key) || latest.get(key).createdAt < e.createdAt) latest.set(key, e);
+        });
+        records = [...latest.values()].sort((a, b) => a.url.localeCompare(b.url));
+      }
+      const [rubric, videos] = await Promise.all([loadRubric(), readVideoDB()]);
+      const titles = Object.fromEntries(videoRecords(videos).map(v => [v.id, v.title]));
+      return file(evaluationsToCSV(records, { titles, rubric }), 'text/csv; charset=utf-8', 'evaluations.csv');
+    }),
+
+    route('GET', '/evaluations/:id/export', async ({ params, query }) => {
+      const record = await getEvaluation(params.id);
+      if (!record) return evaluationNotFound();
+      const [rubric, video] = await Promise.all([loadRubric(), getVideo(videoIdOf(record))]);
+      const report = exportEvaluation(record, query.format || 'md', { title: video?.title || null, rubric });
+      return file(report.body, report.contentType, report.filename, query.download !== 'false');
+    }),
+
+    route('GET', '/evaluations/:id', async ({ params }) => {
+      const record = await getEvaluation(params.id);
+      return record ? json(200, record) : evaluationNotFound();
+    }),
+
+    // Reviewer overrides: the human score is stored next to the model's, which is never changed
+    route('PUT', '/evaluations/:id/reviews/:metric', async ({ params, body }) => {
+      const { score, note, reviewer } = body;
+      let review = null;
+      await (await getStore()).update('evaluations', params.id, record => {
+        if (!record) return undefined;
+        review = applyReview(record, params.metric, { score, note, reviewer });
+        return record;
+      });
+      return review ? json(200, { ok: true, review }) : evaluationNotFound();
+    }),
+
+    route('DELETE', '/evaluations/:id/reviews/:metric', async ({ params }) => {
+      let removed = null;
+      await (await getStore()).update('evaluations', params.id, record => {
+        if (!record) return undefined;
+        removed = removeReview(record, params.metric);
+        return removed ? record : undefined;
+      });
+      return removed === null ? evaluationNotFound() : json(200, { ok: true, removed });
+    }),
+
+    // Which metrics the model agrees with reviewers on, across every reviewed evaluation
+    route('GET', '/calibration', async ({ query }) => {
+      const thresholds = parseThresholds(query);
+      const [db, rubric] = await Promise.all([readEvaluationDB(), loadRubric()]);
+      const { videoType } = query;
+      const records = Object.values(db).filter(e => !videoType || e.inputs?.videoType === videoType);
+      return json(200, { videoType: videoType || null, ...calibrationReport(records, rubric, thresholds) });
+    }),
+
+    // Token usage and estimated cost for ?from=&to= (YYYY-MM-DD, UTC; default the last 30 days)
+    route('GET', '/usage', async ({ query }) => {
+      const range = parseUsageRange(query);
+      const [entries, videos] = await Promise.all([readUsage(), readVideoDB()]);
+      return json(200, usageReport(entries, { ...range, videos }));
+    }),
+
+    /* ---------- Cohorts: named collections of videos (cohorts.js) ---------- */
+
+    route('GET', '/cohorts', async () => {
+      const cohorts = Object.values(await (await getStore()).all('cohorts')).sort((a, b) => a.name.localeCompare(b.name));
+      return json(200, { cohorts: cohorts.map(summarizeCohort) });
+    }),
+
+    // { name, kind: 'cohort' | 'playlist', description, videos: [urls], id? }; id defaults to a slug of the name
+    route('POST', '/cohorts', async ({ body }) => {
+      const id = cohortId(body);
+      let exists = false;
+      const record = await (await getStore()).update('cohorts', id, current => {
+        exists = Boolean(current);
+        return exists ? undefined : createCohort(id, body);
+      });
+      if (exists) return json(409, { error: `A cohort with id "${id}" already exists`, code: 'cohort_exists', id });
+      return json(201, { ok: true, cohort: await describeCohort(record) });
+    }),
+
+    route('GET', '/cohorts/:id', async ({ params }) => {
+      const record = await (await getStore()).get('cohorts', params.id);
+      return record ? json(200, await describeCohort(record)) : cohortNotFound(params.id);
+    }),
+
+    route('PUT', '/cohorts/:id', async ({ params, body }) => {
+      const record = await (await getStore()).update('cohorts', params.id, current => (current ? updateCohort(current, body) : undefined));
+      return record ? json(200, { ok: true, cohort: await describeCohort(record) }) : cohortNotFound(params.id);
+    }),
+
+    // Video records and evaluations are kept
+    route('DELETE', '/cohorts/:id', async ({ params }) => {
+      return (await (await getStore()).delete('cohorts', params.id)) ? json(200, { ok: true, id: params.id }) : cohortNotFound(params.id);
+    }),
+
+    // { videos: [urls or ids] } or { url }; videos already in the cohort are skipped
+    route('POST', '/cohorts/:id/videos', async ({ params, body }) => {
+      const urls = body.videos !== undefined ? body.videos : [body.url];
+      let added = null;
+      const record = await (await getStore()).update('cohorts', params.id, current => {
+        if (!current) return undefined;
+        const result = addVideos(current, urls);
+        added = result.added;
+        return added.length ? result.record : undefined;
+      });
+      return record ? json(200, { ok: true, added, cohort: await describeCohort(record) }) : cohortNotFound(params.id);
+    }),
+
+    // `:video` is a video ID or a URL-encoded YouTube link
+    route('DELETE', '/cohorts/:id/videos/:video', async ({ params }) => {
+      const { videoId } = resolveVideo(params.video);
+      let found = false;
+      let member = false;
+      await (await getStore()).update('cohorts', params.id, current => {
+        found = Boolean(current);
+        const updated = current ? removeVideo(current, videoId) : undefined;
+        member = Boolean(updated);
+        return updated;
+      });
+      if (!found) return cohortNotFound(params.id);
+      return member ? json(200, { ok: true, id: videoId }) : json(404, { error: 'Video is not in this cohort', id: videoId });
+    }),
+
+    // Per-metric averages, score distribution, recurring improvements and the leaderboard
+    route('GET', '/cohorts/:id/report', async ({ params }) => {
+      const record = await (await getStore()).get('cohorts', params.id);
+      if (!record) return cohortNotFound(params.id);
+      const [evaluations, videos, rubric] = await Promise.all([readEvaluationDB(), readVideoDB(), loadRubric()]);
+      return json(200, cohortReport(record, { evaluations: Object.values(evaluations), videos, rubric }));
+    }),
+
+    /* ---------- Admin: ADMIN_TOKEN, closed in production without one (adminAuth.js) ---------- */
+
+    route('GET', '/admin/cache', async ({ headers }) => {
+      checkAdminAccess(headers.authorization);
+      return json(200, await responseCache.stats());
+    }),
+
+    // Purge everything, or only entries matching ?provider=&model=&olderThan=<seconds>
+    route('DELETE', '/admin/cache', async ({ headers, query }) => {
+      checkAdminAccess(headers.authorization);
+      const { provider, model, olderThan } = query;
+      const olderThanSeconds = olderThan !== undefined ? Number(olderThan) : undefined;
+      if (olderThanSeconds !== undefined && !(olderThanSeconds >= 0)) return json(400, { error: 'olderThan must be a number of seconds' });
+      return json(200, { ok: true, removed: await responseCache.purge({ provider, model, olderThanSeconds }) });
+    })
+  ];
+}
+
+/** Run one route's handler; thrown errors become their { error, code } response */
+export async function runRoute(route, request) {
+  try {
+    return await route.handle(request);
+  } catch (err) {
+    return errorResult(err);
+  }
+}
+
+// '/cohorts/:id/videos' -> function returning the decoded params of a matching path, else null
+function pathMatcher(pattern) {
+  const names = [];
+  const source = pattern.split('/').map(part => {
+    if (!part.startsWith(':')) return part;
+    names.push(part.slice(1));
+    return '([^/]+)';
+  }).join('/');
+  const regex = new RegExp(`^${source}$`);
+  return (path) => {
+    const match = path.match(regex);
+    return match && Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+  };
+}
+
+const matchers = new WeakMap();
+
+/**
+ * Answer a request read from an API Gateway event (requestFromEvent) with the first matching route.
+ * The body is parsed as JSON (400 invalid_json otherwise); no match is a 404.
+ * @param {object[]} routes from createApiRoutes
+ * @param {{ method: string, path: string, query: object, headers: object, body: string }} request
+ */
+export async function routeRequest(routes, request) {
+  try {
+    for (const route of routes) {
+      if (route.method !== request.method) continue;
+      if (!matchers.has(route)) matchers.set(route, pathMatcher(route.path));
+      const params = matchers.get(route)(request.path);
+      if (params) return runRoute(route, { ...request, params, body: jsonBody(request) });
+    }
+    return json(404, { error: 'Not found' });
+  } catch (err) {
+    // Malformed JSON body or a path segment that isn't valid percent-encoding
+    return errorResult(err instanceof URIError ? Object.assign(err, { status: 400, code: 'invalid_path' }) : err);
+  }
+}
@@ -0,0 +1,266 @@
+/*
+  Batch evaluation jobs.
+  - parseBatchInput: CSV (header row) or JSONL with the same fields as the
+    form: url, videoType, purpose, keyConcepts, justifications, goal
+    (plus an optional transcript and feedbackLanguage); URLs must be YouTube
+    video links and are stored in canonical form
+  - createBatchQueue: persistent job queue. Jobs run one at a time in
+    creation order; items within a job run with the job's concurrency and
+    are retried with exponential backoff. State is written to disk on every
+    change, and jobs that were queued or running when the process stopped
+    resume on start().
+
+  Job shape:
+    { id, status: queued|running|completed|cancelled, createdAt, startedAt, finishedAt,
+      options: { concurrency, maxRetries, provider, model, generationConfig, force, promptVersion, feedbackLanguage },
+      items: [{ index, input, status: pending|running|done|failed|cancelled,
+                attempts, retryAt, error, errorCode, result: { evaluationId, overall, grade: { id, label, min }, scores } }] }
+*/
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { parseCSVObjects } from './csv.js';
+import { parseVideoId, tryParseVideoId, canonicalVideoUrl } from './videos.js';
+import { parseFeedbackLanguage } from './language.js';
+
+export const BATCH_FIELDS = ['url', 'videoType', 'purpose', 'keyConcepts', 'justifications', 'goal', 'transcript', 'feedbackLanguage'];
+
+const MAX_BATCH_ITEMS = 500;
+const RETRY_BASE_MS = 2000;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Map loosely named columns/keys ("Video Type", "key_concepts") onto form field names
+const FIELD_BY_KEY = new Map(BATCH_FIELDS.map(f => [f.toLowerCase(), f]));
+const normalizeKey = (k) => FIELD_BY_KEY.get(String(k).replace(/[\s_-]/g, '').toLowerCase());
+
+function toInput(obj) {
+  const input = {};
+  for (const [k, v] of Object.entries(obj)) {
+    const field = normalizeKey(k);
+    if (field && v !== undefined && v !== null && String(v).trim() !== '') input[field] = String(v).trim();
+  }
+  return input;
+}
+
+/**
+ * Parse an uploaded batch file.
+ * @param {string} content file text
+ * @param {'csv'|'jsonl'} [format] detected from the first character when omitted
+ * @returns {object[]} inputs with form field names
+ */
+export function parseBatchInput(content, format) {
+  if (typeof content !== 'string' || !content.trim()) throw invalid('Batch file is empty');
+  const fmt = format || (content.trimStart().startsWith('{') ? 'jsonl' : 'csv');
+  let records;
+  if (fmt === 'jsonl') {
+    records = content.split(/\r?\n/).map((line, i) => [line, i + 1]).filter(([line]) => line.trim()).map(([line, lineNo]) => {
+      try { return JSON.parse(line); } catch (err) { throw invalid(`JSONL line ${lineNo} is not valid JSON`); }
+    });
+  } else if (fmt === 'csv') {
+    try { records = parseCSVObjects(content); } catch (err) { throw invalid(err.message); }
+  } else {
+    throw invalid(`Unsupported batch format "${fmt}" (use csv or jsonl)`);
+  }
+
+  if (!records.length) throw invalid('Batch file has no rows');
+  if (records.length > MAX_BATCH_ITEMS) throw invalid(`Batch has ${records.length} rows; the limit is ${MAX_BATCH_ITEMS}`);
+  const inputs = records.map(toInput);
+  const missing = inputs.map((inp, i) => (inp.url ? null : i + 1)).filter(Boolean);
+  if (missing.length) throw invalid(`Missing url in row(s): ${missing.slice(0, 20).join(', ')}`);
+  const badUrls = inputs.map((inp, i) => (tryParseVideoId(inp.url) ? null : i + 1)).filter(Boolean);
+  if (badUrls.length) throw invalid(`Not a YouTube video URL in row(s): ${badUrls.slice(0, 20).join(', ')}`);
+  const badLanguages = inputs.map((inp, i) => {
+    if (!inp.feedbackLanguage) return null;
+    try { parseFeedbackLanguage(inp.feedbackLanguage); return null; } catch (err) { return i + 1; }
+  }).filter(Boolean);
+  if (badLanguages.length) throw invalid(`Unsupported feedbackLanguage in row(s): ${badLanguages.slice(0, 20).join(', ')}`);
+  return inputs.map(inp => ({ ...inp, url: canonicalVideoUrl(parseVideoId(inp.url)) }));
+}
+
+function countItems(job) {
+  const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  job.items.forEach(item => { counts[item.status]++; });
+  return counts;
+}
+
+// Progress view without the per-item inputs
+export function batchSummary(job) {
+  const counts = countItems(job);
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    options: job.options,
+    total: job.items.length,
+    counts,
+    progress: job.items.length ? Math.round(((counts.done + counts.failed + counts.cancelled) / job.items.length) * 100) : 100
+  };
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.file JSON file holding queue state
+ * @param {(input: object, options: object) => Promise<object>} config.runItem evaluates one input, returns the item result
+ * @param {number} [config.concurrency] default items in flight per job (BATCH_CONCURRENCY)
+ * @param {number} [config.maxRetries] default retries per item (BATCH_MAX_RETRIES)
+ */
+export function createBatchQueue({ file, runItem, concurrency = 2, maxRetries = 2 }) {
+  let jobs = {};
+  let writeChain = Promise.resolve();
+  let timer = null;
+
+  // Serialize writes so concurrent item updates never interleave on disk
+  function persist() {
+    const snapshot = JSON.stringify(jobs, null, 2);
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeChain = writeChain
+      .then(() => fs.writeFile(tmp, snapshot, 'utf-8'))
+      .then(() => fs.rename(tmp, file))
+      .catch(err => console.error('Failed to persist batch queue', err));
+    return writeChain;
+  }
+
+  function activeJob() {
+    return Object.values(jobs)
+      .filter(j => j.status === 'queued' || j.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0] || null;
+  }
+
+  function finishIfDone(job) {
+    if (job.status !== 'running') return;
+    if (job.items.some(i => i.status === 'pending' || i.status === 'running')) return;
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+  }
+
+  async function runOne(job, item) {
+    item.status = 'running';
+    item.attempts++;
+    persist();
+    try {
+      item.result = await runItem(item.input, job.options);
+      item.status = 'done';
+      item.error = null;
+      item.errorCode = null;
+      item.retryAt = null;
+    } catch (err) {
+      item.error = err.message || String(err);
+      item.errorCode = err.code || null;
+      // Bad input, used-up quota, safety blocks or a bad key won't get better on retry
+      if (err.status !== 400 && err.retryable !== false && item.attempts <= job.options.maxRetries && job.status === 'running') {
+        item.status = 'pending';
+        item.retryAt = Date.now() + RETRY_BASE_MS * 2 ** (item.attempts - 1);
+      } else {
+        item.status = 'failed';
+      }
+    }
+    if (job.status === 'cancelled' && item.status === 'pending') item.status = 'cancelled';
+    finishIfDone(job);
+    await persist();
+    pump();
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    const job = activeJob();
+    if (!job) return;
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      persist();
+    }
+
+    const now = Date.now();
+    let running = job.items.filter(i => i.status === 'running').length;
+    for (const item of job.items) {
+      if (running >= job.options.concurrency) break;
+      if (item.status !== 'pending' || (item.retryAt && item.retryAt > now)) continue;
+      running++;
+      runOne(job, item);
+    }
+
+    // Wake up for the next backoff expiry
+    const waiting = job.items.filter(i => i.status === 'pending' && i.retryAt && i.retryAt > now);
+    if (waiting.length && running < job.options.concurrency) {
+      const next = Math.min(...waiting.map(i => i.retryAt));
+      timer = setTimeout(pump, next - now);
+      timer.unref?.();
+    }
+    finishIfDone(job);
+    if (job.status === 'completed') { persist(); pump(); }
+  }
+
+  return {
+    // Load persisted state and resume anything that was interrupted
+    async start() {
+      try {
+        jobs = JSON.parse(await fs.readFile(file, 'utf-8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        jobs = {};
+      }
+      for (const job of Object.values(jobs)) {
+        job.items.forEach(item => { if (item.status === 'running') item.status = 'pending'; });
+      }
+      await persist();
+      pump();
+    },
+
+    async createBatch(inputs, options = {}) {
+      const jobOptions = {
+        concurrency: Math.max(1, Math.min(Number(options.concurrency) || concurrency, 10)),
+        maxRetries: Math.max(0, Math.min(Number(options.maxRetries ?? maxRetries), 5)),
+        provider: options.provider,
+        model: options.model,
+        generationConfig: options.generationConfig,
+        force: options.force === true,
+        promptVersion: options.promptVersion ? String(options.promptVersion) : undefined,
+        // Default for rows without their own feedbackLanguage
+        feedbackLanguage: options.feedbackLanguage ? parseFeedbackLanguage(options.feedbackLanguage) : undefined
+      };
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        options: jobOptions,
+        items: inputs.map((input, index) => ({ index, input, status: 'pending', attempts: 0, retryAt: null, error: null, errorCode: null, result: null }))
+      };
+      jobs[job.id] = job;
+      await persist();
+      pump();
+      return job;
+    },
+
+    getBatch(id) {
+      return jobs[id] || null;
+    },
+
+    listBatches() {
+      return Object.values(jobs).sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(batchSummary);
+    },
+
+    // Pending items are cancelled; items already running finish but nothing new starts
+    async cancelBatch(id) {
+      const job = jobs[id];
+      if (!job) return null;
+      if (job.status === 'queued' || job.status === 'running') {
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        job.items.forEach(item => { if (item.status === 'pending') item.status = 'cancelled'; });
+        await persist();
+        pump();
+      }
+      return job;
+    }
+  };
+}
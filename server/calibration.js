@@ -0,0 +1,113 @@
+/*
+  Model-vs-human calibration.
+  Reviewers override metric scores on stored evaluations (evaluations.js,
+  applyReview); every override is a (model score, human score) pair. This
+  module aggregates those pairs per rubric metric:
+    reviews      number of pairs
+    videos       distinct video URLs they come from
+    mae          mean absolute error |model - human|
+    bias         mean (model - human); positive = the model scores too high
+    correlation  Pearson r between model and human scores (null with fewer
+                 than 2 pairs or when either side never varies)
+    withinOne    share of pairs where the scores differ by at most 1
+    status       'insufficient-data' | 'reliable' | 'needs-work'
+
+  A metric is 'reliable' once it has at least `minReviews` pairs and its MAE
+  is at most `maxMae`; metrics above that MAE likely need rubric work.
+*/
+
+export const DEFAULT_MIN_REVIEWS = 3;
+export const DEFAULT_MAX_MAE = 1.5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+function pearson(xs, ys) {
+  if (xs.length < 2) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    cov += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return vx && vy ? cov / Math.sqrt(vx * vy) : null;
+}
+
+// Agreement figures for a list of { model, human, url } pairs
+function agreement(pairs) {
+  if (!pairs.length) return { reviews: 0, videos: 0, mae: null, bias: null, correlation: null, withinOne: null };
+  const diffs = pairs.map(p => p.model - p.human);
+  const r = pearson(pairs.map(p => p.model), pairs.map(p => p.human));
+  return {
+    reviews: pairs.length,
+    videos: new Set(pairs.map(p => p.url)).size,
+    mae: round2(mean(diffs.map(Math.abs))),
+    bias: round2(mean(diffs)),
+    correlation: r == null ? null : round2(r),
+    withinOne: round2(diffs.filter(d => Math.abs(d) <= 1).length / diffs.length)
+  };
+}
+
+/**
+ * Per-metric agreement between model and reviewer scores.
+ * @param {object[]} records stored evaluations (only their `reviews` are used)
+ * @param {object} rubric every rubric metric gets a row, reviewed or not
+ * @param {{ minReviews?: number, maxMae?: number }} [thresholds]
+ */
+export function calibrationReport(records, rubric, { minReviews = DEFAULT_MIN_REVIEWS, maxMae = DEFAULT_MAX_MAE } = {}) {
+  const byMetric = new Map();
+  for (const record of records) {
+    for (const review of Object.values(record.reviews || {})) {
+      if (!Number.isInteger(review.modelScore)) continue; // the model gave no valid score to compare with
+      if (!byMetric.has(review.metricId)) byMetric.set(review.metricId, []);
+      byMetric.get(review.metricId).push({ model: review.modelScore, human: review.humanScore, url: record.url });
+    }
+  }
+
+  const row = (id, name, category) => {
+    const stats = agreement(byMetric.get(id) || []);
+    const status = stats.reviews < minReviews ? 'insufficient-data' : stats.mae <= maxMae ? 'reliable' : 'needs-work';
+    return { id, name, category, ...stats, status };
+  };
+  const known = new Set(rubric.metrics.map(m => m.id));
+  const metrics = [
+    ...rubric.metrics.map(m => row(m.id, m.name, m.category)),
+    // Reviews of metrics the rubric has since dropped are still reported
+    ...[...byMetric.keys()].filter(id => !known.has(id)).map(id => row(id, id, null))
+  ];
+
+  const allPairs = [...byMetric.values()].flat();
+  return {
+    thresholds: { minReviews, maxMae },
+    overall: agreement(allPairs),
+    reviewedEvaluations: records.filter(r => Object.keys(r.reviews || {}).length).length,
+    metrics
+  };
+}
+
+/**
+ * Read `minReviews` / `maxMae` from a query string.
+ * @returns {{ minReviews: number, maxMae: number }}
+ */
+export function parseThresholds({ minReviews, maxMae } = {}) {
+  const thresholds = { minReviews: DEFAULT_MIN_REVIEWS, maxMae: DEFAULT_MAX_MAE };
+  if (minReviews !== undefined && minReviews !== '') {
+    thresholds.minReviews = Number(minReviews);
+    if (!Number.isInteger(thresholds.minReviews) || thresholds.minReviews < 1) throw thresholdError('minReviews must be a positive integer');
+  }
+  if (maxMae !== undefined && maxMae !== '') {
+    thresholds.maxMae = Number(maxMae);
+    if (!(thresholds.maxMae >= 0)) throw thresholdError('maxMae must be a non-negative number');
+  }
+  return thresholds;
+}
+
+function thresholdError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
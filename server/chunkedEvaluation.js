@@ -0,0 +1,173 @@
+/*
+  Chunked evaluate-all.
+  Asking for all 19 metrics in one call overruns the output token budget and
+  the JSON comes back truncated. Instead the metric list is split into
+  groups that are evaluated in parallel (with a concurrency limit), merged
+  into one canonical report, and `common_improvements` is produced by a final
+  synthesis pass over the merged feedback.
+
+  A failing group doesn't fail the whole run: its metrics come back with
+  null scores, the failure is listed in `groups` and `partial` is set.
+
+  Callers can pass `onGroup` to receive each group's metrics as soon as it
+  finishes (used for streaming), `signal` to abort every call in flight
+  and skip the groups not yet started, and `force` to bypass the response
+  cache.
+
+  Config: EVAL_CHUNK_SIZE (metrics per call, default 5),
+          EVAL_CONCURRENCY (parallel calls, default 3).
+*/
+
+import { callLLM } from './llmClient.js';
+import { evaluateWithRepair, extractJSON } from './evaluationSchema.js';
+import { languageInstruction } from './language.js';
+
+const DEFAULT_CHUNK_SIZE = 5;
+const DEFAULT_CONCURRENCY = 3;
+const COMMON_IMPROVEMENT_COUNT = 5;
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Never rejects; results mirror Promise.allSettled, in input order.
+ * Once `signal` is aborted no further items are started.
+ */
+export async function mapWithConcurrency(items, limit, fn, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length && !signal?.aborted) {
+      const i = next++;
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: 'rejected', reason };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const failedEntry = (metric) => ({ metric, score: null, feedback: null, evidence: [] });
+
+function synthesisPrompt(details, metrics) {
+  const language = languageInstruction(details.language);
+  const feedback = metrics
+    .filter(m => m.feedback)
+    .map(m => `- ${m.metric} (score ${m.score ?? 'n/a'}): ${m.feedback}`)
+    .join('\n');
+  return [
+    `${details.persona || 'You are an expert reviewer for YouTube educational videos.'} Below is per-metric feedback already written for one video.`,
+    `Title: ${details.title || 'Unknown Title'}\nVideo Type: ${details.videoType}\nEvaluation Goal: ${details.goal}`,
+    'Per-metric feedback:',
+    feedback,
+    `Identify the top ${COMMON_IMPROVEMENT_COUNT} cross-metric improvements that would help this video most, prioritising the lowest-scoring areas. Return a JSON object { "common_improvements": [ "<suggestion>", ... ] }.${language ? ` ${language}` : ''} Output only valid JSON.`
+  ].join('\n\n');
+}
+
+const SYNTHESIS_SCHEMA = {
+  type: 'object',
+  properties: { common_improvements: { type: 'array', items: { type: 'string' } } },
+  required: ['common_improvements']
+};
+
+// Final pass; falls back to the groups' own suggestions if it fails or returns junk
+async function synthesizeImprovements(details, metrics, fallback, llmOptions, { signal, force, sample, meter }) {
+  try {
+    const llm = await callLLM(synthesisPrompt(details, metrics), llmOptions, { responseSchema: SYNTHESIS_SCHEMA, signal, force, sample, meter });
+    const data = extractJSON(llm.text);
+    const list = data && Array.isArray(data.common_improvements)
+      ? data.common_improvements.filter(s => typeof s === 'string' && s.trim()).map(s => s.trim())
+      : [];
+    if (list.length) return { list: list.slice(0, COMMON_IMPROVEMENT_COUNT), raw: llm.text, error: null, cached: llm.cached };
+    return { list: fallback, raw: llm.text, error: 'Synthesis reply had no usable common_improvements', cached: llm.cached };
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    return { list: fallback, raw: '', error: `Synthesis failed: ${err.message || err}`, cached: false };
+  }
+}
+
+/**
+ * Evaluate `metricList` in parallel groups and merge into one canonical result.
+ * @param {object} details video details passed to buildPrompt and the synthesis pass
+ *   (`persona`, when set, opens the synthesis prompt; `language` sets its reply language)
+ * @param {string[]} metricList
+ * @param {(group: string[]) => string} buildPrompt prompt for one group of metrics
+ * @param {object} llmOptions per-request { provider, model, generationConfig }
+ * @param {object} [hooks]
+ * @param {AbortSignal} [hooks.signal] aborts the run; the promise rejects with the abort reason
+ * @param {boolean} [hooks.force] bypass the response cache
+ * @param {number} [hooks.sample] consistency-mode sample number, passed to every call
+ * @param {object} [hooks.meter] usage meter (usage.js) for every call, synthesis included
+ * @param {(event: { index: number, metrics: object[], ok: boolean, error: string|null }) => void} [hooks.onGroup]
+ *   called as each group finishes; a failed group reports its metrics with null scores
+ * @returns same shape as evaluateWithRepair (including `cached`) plus `groups` and `partial`
+ */
+export async function evaluateInChunks(details, metricList, buildPrompt, llmOptions = {}, { signal, force = false, sample = 0, meter, onGroup } = {}) {
+  const size = positiveInt(process.env.EVAL_CHUNK_SIZE, DEFAULT_CHUNK_SIZE);
+  const concurrency = positiveInt(process.env.EVAL_CONCURRENCY, DEFAULT_CONCURRENCY);
+  const groups = chunk(metricList, size);
+
+  const runGroup = async (group, index) => {
+    try {
+      const result = await evaluateWithRepair(buildPrompt(group), group, llmOptions, { signal, force, sample, meter });
+      onGroup?.({ index, metrics: result.parsed.metrics, ok: true, error: null });
+      return result;
+    } catch (err) {
+      if (!signal?.aborted) onGroup?.({ index, metrics: group.map(failedEntry), ok: false, error: err.message || String(err) });
+      throw err;
+    }
+  };
+  const settled = await mapWithConcurrency(groups, concurrency, runGroup, signal);
+  signal?.throwIfAborted();
+  const succeeded = settled.filter(r => r.status === 'fulfilled');
+  if (!succeeded.length) throw settled[0].reason;
+
+  const metrics = [];
+  const validationErrors = [];
+  const raws = [];
+  const groupFallback = [];
+  let attempts = 0;
+  const groupReport = groups.map((group, i) => {
+    const r = settled[i];
+    if (r.status === 'rejected') {
+      metrics.push(...group.map(failedEntry));
+      validationErrors.push(`Group ${i + 1} failed: ${r.reason?.message || r.reason}`);
+      return { metrics: group, ok: false, attempts: 0, error: r.reason?.message || String(r.reason) };
+    }
+    const v = r.value;
+    metrics.push(...v.parsed.metrics);
+    v.validation_errors.forEach(e => validationErrors.push(`Group ${i + 1}: ${e}`));
+    raws.push(v.raw);
+    groupFallback.push(...v.parsed.common_improvements);
+    attempts += v.attempts;
+    return { metrics: group, ok: true, attempts: v.attempts, error: null };
+  });
+
+  const fallback = [...new Set(groupFallback)].slice(0, COMMON_IMPROVEMENT_COUNT);
+  const synthesis = await synthesizeImprovements(details, metrics, fallback, llmOptions, { signal, force, sample, meter });
+  if (synthesis.error) validationErrors.push(synthesis.error);
+  if (synthesis.raw) raws.push(synthesis.raw);
+
+  return {
+    llm: succeeded[0].value.llm,
+    raw: raws.join('\n\n---\n\n'),
+    parsed: { metrics, common_improvements: synthesis.list },
+    validation_errors: validationErrors,
+    attempts: attempts + 1,
+    groups: groupReport,
+    partial: groupReport.some(g => !g.ok),
+    cached: succeeded.length === groups.length && succeeded.every(r => r.value.cached) && synthesis.cached
+  };
+}
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/*
+  Command-line evaluator for submission pipelines.
+
+    yt-eval evaluate --url <youtube url> [--type "project explainer"] [--purpose ...] [options]
+    yt-eval evaluate --input videos.jsonl [options]        (same rows as a batch upload; .csv works too)
+    yt-eval metrics [--type "project explainer"]          (metric ids for --metric / --min-metric)
+
+  Runs go through the server's evaluation core (evaluationService.js): the
+  same request validation, rubric, prompt templates, model clients, scoring,
+  budget check and usage recording. The transcript and title stored for the
+  video are used unless --transcript / --title are given. Results are
+  printed as a table, JSON or Markdown (--format), and stored in evaluation
+  history only with --save. Token usage is always recorded for GET /api/usage
+  and counts toward DAILY_BUDGET_USD like server runs (usage.js).
+
+  Exit codes: 0 every video passed the gate, 1 at least one scored below
+  --min-score / --min-metric, 2 bad arguments or input, 3 an evaluation
+  failed (model error, timeout, ...).
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { useResponseCache } from './llmClient.js';
+import { responseCacheFromEnv } from './responseCache.js';
+import { loadRubric, metricsForVideoType, findMetric } from './rubric.js';
+import { parseBatchInput } from './batchQueue.js';
+import { parseVideoId, canonicalVideoUrl } from './videos.js';
+import { parseGate, hasGate, checkGate, describeFailure } from './gate.js';
+import { reportToMarkdown } from './reports.js';
+import { storageFromEnv } from './storage.js';
+import { createEvaluationService, parseEvaluateRequest, transcriptRecord } from './evaluationService.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const EXIT_CODES = { passed: 0, belowThreshold: 1, usage: 2, evaluationFailed: 3 };
+const FORMATS = ['table', 'json', 'markdown'];
+
+const USAGE = `Usage:
+  yt-eval evaluate --url <youtube url> [video options] [evaluation options]
+  yt-eval evaluate --input <file.jsonl|file.csv> [evaluation options]
+  yt-eval metrics [--type <video type>]
+
+Video options (with --url):
+  --type <video type>          e.g. "project explainer"; picks the metrics and persona
+  --purpose, --key-concepts, --justifications, --goal <text>
+  --title <text>               defaults to the stored video record's title
+  --transcript <file>          SRT, WebVTT or plain text; defaults to the stored transcript
+  --transcript-format <srt|vtt|text>
+
+Evaluation options:
+  --metric <id[,id...]>        evaluate only these metrics (repeatable); default: all for the type
+  --min-score <n>              fail when the weighted overall score is below n
+  --min-metric <id=n | n>      fail when that metric (or, without an id, any metric) is below n (repeatable)
+  --format <table|json|markdown>   output format (default table)
+  --prompt-version <v>  --provider <name>  --model <name>  --samples <1-5>
+  --feedback-language <en|hi|es|pt|auto>   language of feedback (default FEEDBACK_LANGUAGE or en);
+                               with --input, rows with a feedbackLanguage column keep their own
+  --force                      ignore cached model responses
+  --save                       store the results in evaluation history
+  --concurrency <n>            videos evaluated at once with --input (default 1)
+
+Exit codes: 0 passed, 1 below a threshold, 2 bad arguments or input, 3 evaluation failed`;
+
+const OPTIONS = {
+  url: { type: 'string' },
+  input: { type: 'string' },
+  type: { type: 'string' },
+  purpose: { type: 'string' },
+  'key-concepts': { type: 'string' },
+  justifications: { type: 'string' },
+  goal: { type: 'string' },
+  title: { type: 'string' },
+  transcript: { type: 'string' },
+  'transcript-format': { type: 'string' },
+  metric: { type: 'string', multiple: true },
+  'min-score': { type: 'string' },
+  'min-metric': { type: 'string', multiple: true },
+  format: { type: 'string', default: 'table' },
+  'prompt-version': { type: 'string' },
+  'feedback-language': { type: 'string' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  samples: { type: 'string' },
+  force: { type: 'boolean' },
+  save: { type: 'boolean' },
+  concurrency: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_CODES.usage;
+  return err;
+}
+
+// Rubric metrics selected by --metric (ids or names, comma-separated or repeated), else all for the type
+function selectMetrics(rubric, videoType, requested = []) {
+  const wanted = requested.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+  if (!wanted.length) return metricsForVideoType(rubric, videoType);
+  return [...new Set(wanted)].map(name => {
+    const metric = findMetric(rubric, name);
+    if (!metric) throw usageError(`Unknown metric "${name}" (see yt-eval metrics)`);
+    return metric;
+  });
+}
+
+async function readTranscriptFile(file, format) {
+  const text = await fs.readFile(file, 'utf-8');
+  return transcriptRecord(text, format);
+}
+
+// The form fields for each video to evaluate, from --url options or an --input file
+async function readInputs(values) {
+  if (values.url && values.input) throw usageError('Use either --url or --input, not both');
+  if (values.input) {
+    const content = await fs.readFile(values.input, 'utf-8').catch(err => { throw usageError(`Cannot read ${values.input}: ${err.message}`); });
+    const format = values.input.toLowerCase().endsWith('.csv') ? 'csv' : 'jsonl';
+    return parseBatchInput(content, format).map(input => ({
+      ...input,
+      transcript: input.transcript ? transcriptRecord(input.transcript) : undefined
+    }));
+  }
+  if (!values.url) throw usageError('--url or --input is required');
+  return [{
+    url: canonicalVideoUrl(parseVideoId(values.url)),
+    videoType: values.type,
+    purpose: values.purpose,
+    keyConcepts: values['key-concepts'],
+    justifications: values.justifications,
+    goal: values.goal,
+    title: values.title,
+    transcript: values.transcript ? await readTranscriptFile(values.transcript, values['transcript-format']) : undefined
+  }];
+}
+
+// The evaluate request for one input, validated like a server request, with the --metric selection and gate
+async function planEvaluation(input, { values, gateOptions }) {
+  const request = await parseEvaluateRequest({
+    url: input.url, videoType: input.videoType, purpose: input.purpose, keyConcepts: input.keyConcepts, justifications: input.justifications, goal: input.goal,
+    provider: values.provider, model: values.model, force: values.force === true, samples: values.samples, promptVersion: values['prompt-version'],
+    feedbackLanguage: input.feedbackLanguage || values['feedback-language']
+  }, 'all');
+  const metrics = selectMetrics(request.rubric, input.videoType, values.metric);
+  return { input, request: { ...request, type: metrics.length === 1 ? 'metric' : 'all', metrics }, gate: parseGate(gateOptions, metrics) };
+}
+
+async function evaluateOne({ input, request, gate }, { service, values }) {
+  const { videoId } = request;
+  const transcript = input.transcript || await service.getTranscript(videoId) || null;
+  const title = input.title || (await service.getVideo(videoId))?.title || 'Unknown Title';
+  // Scored even for a single metric so --min-score works the same for any selection
+  const { record } = await service.runEvaluation({
+    ...request, endpoint: 'cli', promptTemplate: request.promptTemplates[0], transcript, title, scoreSingle: true, save: values.save === true
+  });
+  return { url: input.url, videoId, title, evaluation: record, gate: hasGate(gate) ? { ...gate, ...checkGate(record, gate) } : null };
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/* ---------- Output ---------- */
+
+const pad = (value, width) => String(value).padEnd(width);
+
+function gateText(gate) {
+  if (!gate) return 'Result: no thresholds given';
+  return gate.passed ? 'Result: PASS' : `Result: FAIL (${gate.failures.map(describeFailure).join('; ')})`;
+}
+
+function renderTable(results) {
+  return results.map(r => {
+    if (r.error) return `${r.url}\n  Error: ${r.error}`;
+    const { evaluation, gate } = r;
+    const minFor = (id) => {
+      const mins = (gate?.minMetrics || []).filter(t => t.metric === id || t.metric === null).map(t => t.min);
+      return mins.length ? Math.max(...mins) : null;
+    };
+    const rows = evaluation.parsed.metrics.map(e => [e.id, e.score ?? '-', minFor(e.id) ?? '', e.consistency?.lowConfidence ? 'low confidence' : '']);
+    const widths = [Math.max(6, ...rows.map(row => row[0].length)), 5, 3];
+    const lines = [
+      `${r.url} — ${r.title}`,
+      `  ${pad('Metric', widths[0])}  ${pad('Score', widths[1])}  ${pad('Min', widths[2])}`,
+      ...rows.map(([id, score, min, note]) => `  ${pad(id, widths[0])}  ${pad(score, widths[1])}  ${pad(min, widths[2])}  ${note}`.trimEnd())
+    ];
+    const s = evaluation.summary;
+    lines.push(`  Overall: ${s?.overall ?? '-'}${s?.grade ? ` (${s.grade.label})` : ''}${gate?.minScore != null ? `, min ${gate.minScore}` : ''}`);
+    const u = evaluation.usage;
+    if (u) lines.push(`  Usage: ${u.totalTokens} tokens${u.estimated ? ' (estimated)' : ''}, $${u.costUsd}${u.cachedCalls ? `, ${u.cachedCalls} of ${u.calls} call(s) cached` : ''}`);
+    if (evaluation.partial || evaluation.validation_errors.length) lines.push(`  Warning: ${evaluation.partial ? 'partial result; ' : ''}${evaluation.validation_errors.length} validation error(s)`);
+    lines.push(`  ${gateText(gate)}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function renderMarkdown(results, rubric) {
+  return results.map(r => (r.error
+    ? `# ${r.url}\n\nError: ${r.error}\n`
+    : `${reportToMarkdown(r.evaluation, { title: r.title, rubric })}\n**${gateText(r.gate)}**\n`)).join('\n---\n\n');
+}
+
+function render(format, results, rubric) {
+  if (format === 'json') return JSON.stringify({ passed: results.every(r => !r.error && r.gate?.passed !== false), results }, null, 2);
+  if (format === 'markdown') return renderMarkdown(results, rubric);
+  return renderTable(results);
+}
+
+/* ---------- Commands ---------- */
+
+async function evaluateCommand(values) {
+  if (!FORMATS.includes(values.format)) throw usageError(`--format must be one of ${FORMATS.join(', ')}`);
+  const concurrency = values.concurrency === undefined ? 1 : Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw usageError('--concurrency must be a positive integer');
+
+  const inputs = await readInputs(values);
+  const gateOptions = { minScore: values['min-score'], minMetric: values['min-metric'] };
+  // Validate every input, metric name and threshold once, before any model call
+  const plans = [];
+  for (const input of inputs) plans.push(await planEvaluation(input, { values, gateOptions }));
+  const rubric = plans[0].request.rubric;
+
+  useResponseCache(responseCacheFromEnv(path.join(__dirname, 'responseCache.json')));
+  const store = await storageFromEnv({ dir: __dirname });
+  const service = createEvaluationService({ getStore: async () => store });
+  let results;
+  try {
+    results = await mapWithConcurrency(plans, concurrency, async (plan, index) => {
+      const { input } = plan;
+      if (plans.length > 1) process.stderr.write(`[${index + 1}/${plans.length}] ${input.url}\n`);
+      try {
+        return await evaluateOne(plan, { service, values });
+      } catch (err) {
+        if (err.exitCode) throw err;
+        return { url: input.url, error: err.message || String(err), code: err.code };
+      }
+    });
+  } finally {
+    await store.close();
+  }
+
+  process.stdout.write(`${render(values.format, results, rubric)}\n`);
+  if (results.some(r => r.error)) return EXIT_CODES.evaluationFailed;
+  return results.some(r => r.gate && !r.gate.passed) ? EXIT_CODES.belowThreshold : EXIT_CODES.passed;
+}
+
+async function metricsCommand(values) {
+  const rubric = await loadRubric();
+  const metrics = metricsForVideoType(rubric, values.type);
+  const width = Math.max(...metrics.map(m => m.id.length));
+  process.stdout.write(`${metrics.map(m => `${pad(m.id, width)}  ${pad(m.category, 10)} ${pad(`w${m.weight}`, 5)} ${m.name}`).join('\n')}\n`);
+  return EXIT_CODES.passed;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  const [command] = positionals;
+  if (values.help || !command || command === 'help') {
+    process.stdout.write(`${USAGE}\n`);
+    return command || values.help ? EXIT_CODES.passed : EXIT_CODES.usage;
+  }
+  if (command === 'evaluate') return evaluateCommand(values);
+  if (command === 'metrics') return metricsCommand(values);
+  throw usageError(`Unknown command "${command}"`);
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    // Input problems (bad URL, unknown prompt version, threshold syntax) carry a 400 status
+    const code = err.exitCode || (err.status === 400 ? EXIT_CODES.usage : EXIT_CODES.evaluationFailed);
+    process.stderr.write(`yt-eval: ${err.message}${code === EXIT_CODES.usage ? '\nRun yt-eval --help for usage.' : ''}\n`);
+    process.exitCode = code;
+  });
@@ -0,0 +1,242 @@
+/*
+  Cohorts: named collections of videos (a bootcamp cohort, a playlist) and
+  their aggregate view.
+  - Cohort records are keyed by a slug of their name (or an explicit id) and
+    hold the video IDs assigned to them; a video can be in any number of
+    cohorts, and needs no video record or evaluation to be added.
+  - cohortReport takes each member video's latest evaluate-all run and
+    builds per-metric averages, the overall score distribution, the most
+    frequent common_improvements and a ranked leaderboard. Reviewer
+    overrides (evaluations.js, applyReview) replace the model's score for
+    that metric, and the overall is recomputed from the result (scoring.js).
+  Storage itself is left to the caller (server.js / Lambda handler).
+*/
+
+import { summarizeScores, DEFAULT_GRADE_BANDS } from './scoring.js';
+import { parseVideoId, videoIdOf } from './videos.js';
+
+export const COHORT_KINDS = ['cohort', 'playlist'];
+export const MAX_COHORT_VIDEOS = 500;
+const TOP_IMPROVEMENTS = 10;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const mean = (values) => (values.length ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+export function slugify(text) {
+  return String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64).replace(/-+$/, '');
+}
+
+/**
+ * Id for a new cohort: `id` when given, otherwise the slug of `name`.
+ * @throws 400 when neither yields a usable slug
+ */
+export function cohortId({ id, name } = {}) {
+  const slug = id !== undefined ? String(id) : slugify(name || '');
+  if (!SLUG_PATTERN.test(slug)) throw httpError(400, id !== undefined ? 'id must be lowercase letters, digits and dashes' : 'name must contain at least one letter or digit');
+  return slug;
+}
+
+// Validated subset of `fields` that may be written to a cohort record
+function cleanFields(fields) {
+  const clean = {};
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) throw httpError(400, 'name must be a non-empty string');
+    clean.name = fields.name.trim();
+  }
+  if (fields.kind !== undefined) {
+    if (!COHORT_KINDS.includes(fields.kind)) throw httpError(400, `kind must be one of ${COHORT_KINDS.join(', ')}`);
+    clean.kind = fields.kind;
+  }
+  if (fields.description !== undefined) {
+    if (fields.description !== null && typeof fields.description !== 'string') throw httpError(400, 'description must be a string');
+    clean.description = (fields.description || '').trim();
+  }
+  return clean;
+}
+
+/**
+ * New cohort record; `videos` (URLs or IDs) are added straight away.
+ * @param {string} id from cohortId
+ * @param {{ name: string, kind?: string, description?: string, videos?: string[] }} fields
+ */
+export function createCohort(id, { videos = [], ...fields } = {}) {
+  if (fields.name === undefined) throw httpError(400, 'name is required');
+  const now = new Date().toISOString();
+  const record = { id, name: '', kind: 'cohort', description: '', videoIds: [], createdAt: now, ...cleanFields(fields), updatedAt: now };
+  return addVideos(record, videos).record;
+}
+
+// Name, kind and description only; membership changes go through addVideos / removeVideo
+export function updateCohort(existing, fields = {}) {
+  return { ...existing, ...cleanFields(fields), id: existing.id, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Add videos by URL (any form parseVideoId accepts) or ID; ones already in the cohort are skipped.
+ * @returns {{ record: object, added: string[] }} `added` lists the newly added video IDs
+ * @throws 400 for a URL that isn't a YouTube video or when the cohort would exceed MAX_COHORT_VIDEOS
+ */
+export function addVideos(record, urls) {
+  if (!Array.isArray(urls)) throw httpError(400, 'videos must be an array of YouTube URLs or video IDs');
+  const ids = urls.map(parseVideoId);
+  const added = [...new Set(ids)].filter(id => !record.videoIds.includes(id));
+  if (record.videoIds.length + added.length > MAX_COHORT_VIDEOS) throw httpError(400, `A cohort holds at most ${MAX_COHORT_VIDEOS} videos`);
+  if (!added.length) return { record, added };
+  return { record: { ...record, videoIds: [...record.videoIds, ...added], updatedAt: new Date().toISOString() }, added };
+}
+
+/**
+ * @returns {object|undefined} the updated record, or undefined when the video wasn't a member
+ */
+export function removeVideo(record, videoId) {
+  if (!record.videoIds.includes(videoId)) return undefined;
+  return { ...record, videoIds: record.videoIds.filter(id => id !== videoId), updatedAt: new Date().toISOString() };
+}
+
+// Listing view: everything except the member list
+export function summarizeCohort({ videoIds, ...record }) {
+  return { ...record, videoCount: videoIds.length };
+}
+
+// Latest evaluate-all run per video ID; single-metric runs don't have an overall to rank by
+function latestRuns(evaluations, videoIds) {
+  const wanted = new Set(videoIds);
+  const latest = new Map();
+  for (const record of evaluations) {
+    if (record.type !== 'all' || !record.parsed) continue;
+    const id = videoIdOf(record);
+    if (!wanted.has(id)) continue;
+    if (!latest.has(id) || record.createdAt > latest.get(id).createdAt) latest.set(id, record);
+  }
+  return latest;
+}
+
+// Metric entries with reviewer scores in place of the model's, and the summary recomputed from them
+function effectiveScores(record, rubric) {
+  const reviews = record.reviews || {};
+  const entries = record.parsed.metrics.map(entry => {
+    const review = reviews[entry.id] || reviews[entry.metric];
+    return review ? { ...entry, score: review.humanScore, reviewed: true } : entry;
+  });
+  return { entries, summary: summarizeScores(entries, rubric), reviewed: Object.keys(reviews).length > 0 };
+}
+
+const normalizeImprovement = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Suggestions that recur across videos, matched on wording after case and punctuation are ignored
+function commonImprovements(runs) {
+  const counts = new Map();
+  for (const record of runs) {
+    const seen = new Set();
+    for (const text of record.parsed.common_improvements || []) {
+      if (typeof text !== 'string') continue;
+      const key = normalizeImprovement(text);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      if (!counts.has(key)) counts.set(key, { text: text.trim(), videos: 0 });
+      counts.get(key).videos++;
+    }
+  }
+  return [...counts.values()]
+    .sort((a, b) => b.videos - a.videos || a.text.localeCompare(b.text))
+    .slice(0, TOP_IMPROVEMENTS)
+    .map(item => ({ ...item, share: round2(item.videos / runs.length) }));
+}
+
+// Overall scores in 1-point bins (10 goes in the 9-10 bin), per grade band, and summary statistics
+function scoreDistribution(overalls, bands) {
+  const bins = Array.from({ length: 10 }, (_, i) => ({ from: i, to: i + 1, count: 0 }));
+  overalls.forEach(score => { bins[Math.min(9, Math.floor(score))].count++; });
+  const sorted = [...overalls].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = !sorted.length ? null : sorted.length % 2 ? sorted[mid] : round2((sorted[mid - 1] + sorted[mid]) / 2);
+  const grades = [...bands].sort((a, b) => b.min - a.min).map(band => ({ id: band.id, label: band.label, min: band.min, count: 0 }));
+  overalls.forEach(score => { (grades.find(g => score >= g.min) || grades[grades.length - 1]).count++; });
+  return {
+    count: overalls.length,
+    mean: mean(overalls),
+    median,
+    min: sorted.length ? sorted[0] : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+    bins,
+    grades
+  };
+}
+
+/**
+ * Aggregate view of a cohort.
+ * @param {object} cohort cohort record
+ * @param {object} data
+ * @param {object[]} data.evaluations stored evaluation records (any video; only members' are used)
+ * @param {object} data.videos video records keyed by ID, for titles and channels
+ * @param {object} data.rubric loaded rubric (metric order, weights, grade bands)
+ * @returns {{ cohort, evaluated, metrics, distribution, commonImprovements, weakestMetrics, leaderboard, unevaluated }}
+ *   `leaderboard` is ordered best first; equal overall scores share a rank
+ */
+export function cohortReport(cohort, { evaluations, videos, rubric }) {
+  const latest = latestRuns(evaluations, cohort.videoIds);
+  const videoInfo = (id) => {
+    const record = videos[id];
+    return { videoId: id, title: (record && record.title) || '', channel: (record && record.channel) || '' };
+  };
+
+  const rows = [];
+  for (const [videoId, record] of latest) {
+    const { entries, summary, reviewed } = effectiveScores(record, rubric);
+    if (summary.overall === null) continue; // nothing scored, nothing to rank
+    rows.push({
+      ...videoInfo(videoId),
+      overall: summary.overall,
+      grade: summary.grade,
+      categories: summary.categories,
+      weakest: summary.weakest,
+      scores: Object.fromEntries(entries.filter(e => Number.isInteger(e.score)).map(e => [e.id, e.score])),
+      reviewed,
+      evaluationId: record.id,
+      evaluatedAt: record.createdAt,
+      _record: record
+    });
+  }
+  rows.sort((a, b) => b.overall - a.overall || a.videoId.localeCompare(b.videoId));
+  rows.forEach((row, i) => { row.rank = i > 0 && row.overall === rows[i - 1].overall ? rows[i - 1].rank : i + 1; });
+
+  const known = new Set(rubric.metrics.map(m => m.id));
+  const metrics = rubric.metrics.map(m => {
+    const scores = rows.map(r => r.scores[m.id]).filter(Number.isInteger);
+    return {
+      id: m.id,
+      name: m.name,
+      category: m.category,
+      weight: m.weight,
+      count: scores.length,
+      mean: mean(scores),
+      min: scores.length ? Math.min(...scores) : null,
+      max: scores.length ? Math.max(...scores) : null
+    };
+  }).filter(m => m.count > 0);
+  // How many videos have each metric among their three weakest (scoring.js)
+  const weakCounts = new Map();
+  rows.forEach(r => r.weakest.filter(w => known.has(w.id)).forEach(w => weakCounts.set(w.id, (weakCounts.get(w.id) || 0) + 1)));
+
+  const ranked = new Set(rows.map(r => r.videoId));
+  return {
+    cohort: summarizeCohort(cohort),
+    evaluated: rows.length,
+    metrics,
+    distribution: scoreDistribution(rows.map(r => r.overall), rubric.gradeBands || DEFAULT_GRADE_BANDS),
+    commonImprovements: commonImprovements(rows.map(r => r._record)),
+    weakestMetrics: [...weakCounts].map(([id, count]) => ({ id, name: metrics.find(m => m.id === id)?.name || id, videos: count }))
+      .sort((a, b) => b.videos - a.videos || a.id.localeCompare(b.id)),
+    leaderboard: rows.map(({ _record, weakest, ...row }) => ({ ...row, weakest: weakest.map(w => w.id) })),
+    unevaluated: cohort.videoIds.filter(id => !ranked.has(id)).map(videoInfo)
+  };
+}
@@ -0,0 +1,115 @@
+/*
+  Consistency mode.
+  The same evaluation is run N times ("samples") and the replies are merged
+  per metric:
+    - score: the median of the valid sample scores (rounded to an integer so
+      it stays a valid 1-10 score for history, comparison and the summary)
+    - consistency: { median, min, max, stddev, scores, lowConfidence }
+    - feedback / evidence: taken from the sample whose score is closest to
+      the median, so the text matches the number shown
+  A metric is flagged lowConfidence when the standard deviation of its
+  scores is above CONSISTENCY_MAX_STDDEV (default 1).
+
+  Samples run in parallel; failed samples are left out as long as one
+  succeeds. Each sample is a separate model call, so cost scales with N.
+*/
+
+export const DEFAULT_MAX_STDDEV = 1;
+export const MAX_SAMPLES = 5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Population standard deviation: the samples are the whole set being described
+function stddev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length);
+}
+
+export function maxStddevFromEnv() {
+  const value = Number(process.env.CONSISTENCY_MAX_STDDEV);
+  return process.env.CONSISTENCY_MAX_STDDEV && Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_STDDEV;
+}
+
+/**
+ * Validate the `samples` request field.
+ * @returns {number} 1 when omitted
+ */
+export function parseSampleCount(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_SAMPLES) {
+    const err = new Error(`samples must be an integer from 1 to ${MAX_SAMPLES}`);
+    err.status = 400;
+    throw err;
+  }
+  return n;
+}
+
+/**
+ * Merge per-sample canonical results into one.
+ * @param {Array<{ parsed: { metrics: object[], common_improvements: string[] } }>} results successful samples,
+ *   each with one entry per metric in the same order
+ * @param {number} [maxStddev]
+ * @returns {{ metrics: object[], common_improvements: string[] }}
+ */
+export function aggregateSamples(results, maxStddev = DEFAULT_MAX_STDDEV) {
+  const first = results[0].parsed;
+  const metrics = first.metrics.map((entry, i) => {
+    const candidates = results.map(r => r.parsed.metrics[i]).filter(e => Number.isInteger(e.score));
+    if (!candidates.length) {
+      return { ...entry, consistency: { median: null, min: null, max: null, stddev: null, scores: [], lowConfidence: true } };
+    }
+    const scores = candidates.map(e => e.score);
+    const sorted = [...scores].sort((a, b) => a - b);
+    const mid = median(sorted);
+    const spread = round2(stddev(scores));
+    // First sample closest to the median speaks for the metric
+    const representative = candidates.reduce((best, e) => (Math.abs(e.score - mid) < Math.abs(best.score - mid) ? e : best));
+    return {
+      ...representative,
+      score: Math.round(mid),
+      consistency: { median: mid, min: sorted[0], max: sorted[sorted.length - 1], stddev: spread, scores, lowConfidence: spread > maxStddev }
+    };
+  });
+
+  // Common improvements come from the sample that agrees most with the medians overall
+  const distance = (r) => r.parsed.metrics.reduce((acc, e, i) => acc + (Number.isInteger(e.score) && metrics[i].consistency.median != null ? Math.abs(e.score - metrics[i].consistency.median) : 0), 0);
+  const closest = results.reduce((best, r) => (distance(r) < distance(best) ? r : best));
+  return { metrics, common_improvements: closest.parsed.common_improvements };
+}
+
+/**
+ * Run `runSample(index)` `count` times in parallel and merge the results.
+ * @param {number} count
+ * @param {(index: number) => Promise<object>} runSample returns an evaluateWithRepair / evaluateInChunks result
+ * @param {{ maxStddev?: number, signal?: AbortSignal }} [options]
+ * @returns same shape as evaluateWithRepair, plus `samples: { requested, succeeded, maxStddev }` and `partial`
+ */
+export async function evaluateSamples(count, runSample, { maxStddev = DEFAULT_MAX_STDDEV, signal } = {}) {
+  const settled = await Promise.allSettled(Array.from({ length: count }, (_, i) => runSample(i)));
+  signal?.throwIfAborted();
+  const ok = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+  if (!ok.length) throw settled[0].reason;
+
+  const validationErrors = [];
+  settled.forEach((r, i) => {
+    if (r.status === 'rejected') validationErrors.push(`Sample ${i + 1} failed: ${r.reason?.message || r.reason}`);
+    else r.value.validation_errors.forEach(e => validationErrors.push(`Sample ${i + 1}: ${e}`));
+  });
+
+  return {
+    llm: ok[0].llm,
+    raw: settled.map((r, i) => (r.status === 'fulfilled' ? `### Sample ${i + 1}\n${r.value.raw}` : null)).filter(Boolean).join('\n\n'),
+    parsed: aggregateSamples(ok, maxStddev),
+    validation_errors: validationErrors,
+    attempts: ok.reduce((acc, r) => acc + r.attempts, 0),
+    cached: ok.length === count && ok.every(r => r.cached),
+    partial: ok.length < count || ok.some(r => r.partial),
+    samples: { requested: count, succeeded: ok.length, maxStddev }
+  };
+}
@@ -0,0 +1,68 @@
+/*
+  Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes,
+  newlines inside quotes). Enough for batch uploads and report exports
+  without pulling in a dependency.
+*/
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = text.replace(/^﻿/, ''); // Excel BOM
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field in CSV');
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by header name.
+ */
+export function parseCSVObjects(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialize rows to CSV.
+ * @param {string[]} columns header names, also the keys read from each row object
+ * @param {object[]} rows
+ */
+export function toCSV(columns, rows) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const row of rows) lines.push(columns.map(c => escapeField(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,134 @@
+/*
+  DynamoDB storage backend (see storage.js for the interface).
+  All collections share one table:
+    collection (S, partition key) | key (S, sort key) | value (S, JSON) | version (N) | updatedAt (S)
+  Values are stored as JSON strings so records of any shape (and size up to
+  DynamoDB's 400 KB item limit) round-trip unchanged. update() is optimistic:
+  it writes only if `version` is still what it read, and retries when another
+  writer got there first.
+
+  Point DYNAMODB_ENDPOINT at DynamoDB Local (e.g. http://localhost:8000) for
+  development; with DYNAMODB_CREATE_TABLE=true the table is created when
+  missing. Requires the optional dependencies:
+    npm install @aws-sdk/client-dynamodb @aws-sdk/lib-dynamodb
+*/
+
+import { checkCollection } from './storage.js';
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+async function loadSdk() {
+  try {
+    const client = await import('@aws-sdk/client-dynamodb');
+    const lib = await import('@aws-sdk/lib-dynamodb');
+    return { ...client, ...lib };
+  } catch (err) {
+    throw new Error('The dynamodb storage backend needs @aws-sdk/client-dynamodb and @aws-sdk/lib-dynamodb', { cause: err });
+  }
+}
+
+async function ensureTable(sdk, client, table) {
+  try {
+    await client.send(new sdk.DescribeTableCommand({ TableName: table }));
+    return;
+  } catch (err) {
+    if (err.name !== 'ResourceNotFoundException') throw err;
+  }
+  await client.send(new sdk.CreateTableCommand({
+    TableName: table,
+    AttributeDefinitions: [
+      { AttributeName: 'collection', AttributeType: 'S' },
+      { AttributeName: 'key', AttributeType: 'S' }
+    ],
+    KeySchema: [
+      { AttributeName: 'collection', KeyType: 'HASH' },
+      { AttributeName: 'key', KeyType: 'RANGE' }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  }));
+  await sdk.waitUntilTableExists({ client, maxWaitTime: 60 }, { TableName: table });
+}
+
+/**
+ * @param {{ table: string, endpoint?: string, region?: string, createTable?: boolean }} options
+ */
+export async function createDynamoStore({ table, endpoint, region, createTable = false }) {
+  const sdk = await loadSdk();
+  const client = new sdk.DynamoDBClient({ region, ...(endpoint ? { endpoint } : {}) });
+  const doc = sdk.DynamoDBDocumentClient.from(client);
+  if (createTable) await ensureTable(sdk, client, table);
+
+  async function readItem(collection, key) {
+    checkCollection(collection);
+    const { Item } = await doc.send(new sdk.GetCommand({ TableName: table, Key: { collection, key }, ConsistentRead: true }));
+    return Item || null;
+  }
+
+  const item = (collection, key, value, version) => ({
+    collection, key, value: JSON.stringify(value), version, updatedAt: new Date().toISOString()
+  });
+
+  return {
+    backend: 'dynamodb',
+
+    async get(collection, key) {
+      const found = await readItem(collection, key);
+      return found ? JSON.parse(found.value) : null;
+    },
+
+    async put(collection, key, value) {
+      checkCollection(collection);
+      const current = await readItem(collection, key);
+      await doc.send(new sdk.PutCommand({ TableName: table, Item: item(collection, key, value, (current?.version || 0) + 1) }));
+    },
+
+    async delete(collection, key) {
+      checkCollection(collection);
+      const { Attributes } = await doc.send(new sdk.DeleteCommand({ TableName: table, Key: { collection, key }, ReturnValues: 'ALL_OLD' }));
+      return Boolean(Attributes);
+    },
+
+    async update(collection, key, mutate) {
+      for (let attempt = 1; ; attempt++) {
+        const found = await readItem(collection, key);
+        const current = found ? JSON.parse(found.value) : null;
+        const value = await mutate(current);
+        if (value === undefined) return current;
+        try {
+          await doc.send(new sdk.PutCommand({
+            TableName: table,
+            Item: item(collection, key, value, (found?.version || 0) + 1),
+            ...(found
+              ? { ConditionExpression: 'version = :version', ExpressionAttributeValues: { ':version': found.version } }
+              : { ConditionExpression: 'attribute_not_exists(#key)', ExpressionAttributeNames: { '#key': 'key' } })
+          }));
+          return value;
+        } catch (err) {
+          if (err.name !== 'ConditionalCheckFailedException' || attempt >= MAX_UPDATE_ATTEMPTS) throw err;
+        }
+      }
+    },
+
+    async all(collection) {
+      checkCollection(collection);
+      const result = {};
+      let ExclusiveStartKey;
+      do {
+        const page = await doc.send(new sdk.QueryCommand({
+          TableName: table,
+          KeyConditionExpression: '#collection = :collection',
+          ExpressionAttributeNames: { '#collection': 'collection' },
+          ExpressionAttributeValues: { ':collection': collection },
+          ExclusiveStartKey
+        }));
+        for (const found of page.Items || []) result[found.key] = JSON.parse(found.value);
+        ExclusiveStartKey = page.LastEvaluatedKey;
+      } while (ExclusiveStartKey);
+      return result;
+    },
+
+    async close() {
+      client.destroy();
+    }
+  };
+}
@@ -0,0 +1,193 @@
+/*
+  Canonical evaluation response schema, validation and repair/retry.
+
+  Every evaluate route returns `parsed` in exactly this shape:
+    {
+      metrics: [{ metric, score, feedback, evidence: [{ start, end, quote }] }],
+      common_improvements: [string]
+    }
+  with one entry per requested metric, in request order. Anything the model
+  got wrong is listed in `validation_errors`; entries that could not be
+  validated carry `score: null` / `feedback: null` rather than whatever the
+  model produced.
+*/
+
+import { callLLM } from './llmClient.js';
+
+// Repair calls after the first attempt; EVAL_MAX_REPAIRS overrides
+const DEFAULT_MAX_REPAIRS = 2;
+
+// EVAL_MAX_REPAIRS as a non-negative integer; anything else falls back to the default
+function maxRepairsFromEnv() {
+  const raw = process.env.EVAL_MAX_REPAIRS;
+  const n = Number(raw);
+  return raw !== undefined && raw.trim() !== '' && Number.isInteger(n) && n >= 0 ? n : DEFAULT_MAX_REPAIRS;
+}
+
+// How much of an invalid reply is quoted back to the model in a repair prompt
+const MAX_REPAIR_ECHO_CHARS = 6000;
+
+/**
+ * Response schema for providers with structured output (Gemini responseSchema).
+ * Metric names are constrained to the requested ones; score range is checked
+ * by validateEvaluation since not every provider enforces numeric bounds.
+ */
+export function buildResponseSchema(metricList) {
+  return {
+    type: 'object',
+    properties: {
+      metrics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            metric: { type: 'string', format: 'enum', enum: metricList },
+            score: { type: 'integer', description: 'Integer from 1 (poor) to 10 (excellent)' },
+            feedback: { type: 'string' },
+            evidence: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  start: { type: 'string' },
+                  end: { type: 'string' },
+                  quote: { type: 'string' }
+                },
+                required: ['start', 'end', 'quote']
+              }
+            }
+          },
+          required: ['metric', 'score', 'feedback', 'evidence']
+        }
+      },
+      common_improvements: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['metrics', 'common_improvements']
+  };
+}
+
+// Parse model text as JSON, tolerating ```json fences and leading/trailing prose
+export function extractJSON(text) {
+  if (typeof text !== 'string') return null;
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch (err) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try { return JSON.parse(unfenced.slice(start, end + 1)); } catch (e) { /* not JSON */ }
+    }
+    return null;
+  }
+}
+
+const metricKey = (name) => String(name).replace(/^\s*\d+[.)]\s*/, '').trim().toLowerCase();
+
+function emptyEntry(metric) {
+  return { metric, score: null, feedback: null, evidence: [] };
+}
+
+/**
+ * Validate a parsed reply against the canonical schema for the requested metrics.
+ * @param {*} data result of extractJSON
+ * @param {string[]} metricList requested metric names
+ * @returns {{ value: object, errors: string[] }} normalized shape plus every problem found
+ */
+export function validateEvaluation(data, metricList) {
+  const errors = [];
+  const value = { metrics: metricList.map(emptyEntry), common_improvements: [] };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('Reply is not a JSON object');
+    return { value, errors };
+  }
+  if (!Array.isArray(data.metrics)) {
+    errors.push('"metrics" must be an array');
+  } else {
+    const byKey = new Map(metricList.map((m, i) => [metricKey(m), i]));
+    const seen = new Set();
+    data.metrics.forEach((entry, i) => {
+      if (!entry || typeof entry !== 'object') { errors.push(`metrics[${i}] is not an object`); return; }
+      const idx = byKey.get(metricKey(entry.metric ?? ''));
+      if (idx === undefined) { errors.push(`metrics[${i}]: unexpected metric "${entry.metric}"`); return; }
+      const name = metricList[idx];
+      if (seen.has(idx)) { errors.push(`"${name}" appears more than once`); return; }
+      seen.add(idx);
+
+      const out = value.metrics[idx];
+      if (Number.isInteger(entry.score) && entry.score >= 1 && entry.score <= 10) out.score = entry.score;
+      else errors.push(`"${name}": score must be an integer from 1 to 10 (got ${JSON.stringify(entry.score)})`);
+
+      if (typeof entry.feedback === 'string' && entry.feedback.trim()) out.feedback = entry.feedback.trim();
+      else errors.push(`"${name}": feedback must be a non-empty string`);
+
+      if (entry.evidence === undefined) out.evidence = [];
+      else if (Array.isArray(entry.evidence) && entry.evidence.every(ev => ev && typeof ev === 'object')) out.evidence = entry.evidence;
+      else errors.push(`"${name}": evidence must be an array of { start, end, quote } objects`);
+    });
+    metricList.forEach((m, i) => { if (!seen.has(i)) errors.push(`Missing metric "${m}"`); });
+  }
+
+  if (Array.isArray(data.common_improvements) && data.common_improvements.every(s => typeof s === 'string')) {
+    value.common_improvements = data.common_improvements.map(s => s.trim()).filter(Boolean);
+  } else {
+    errors.push('"common_improvements" must be an array of strings');
+  }
+
+  return { value, errors };
+}
+
+function repairPrompt(prompt, previous, errors) {
+  const echo = previous.length > MAX_REPAIR_ECHO_CHARS ? `${previous.slice(0, MAX_REPAIR_ECHO_CHARS)}\n[... truncated ...]` : previous;
+  return [
+    prompt,
+    'Your previous reply did not match the required JSON format:',
+    errors.map(e => `- ${e}`).join('\n'),
+    'Previous reply:',
+    echo,
+    'Return the complete corrected JSON object only: { "metrics": [...], "common_improvements": [...] }. Scores must be integers from 1 to 10 and metric names must match the requested ones exactly.'
+  ].join('\n\n');
+}
+
+/**
+ * Call the model, validate the reply and make bounded repair calls until it conforms.
+ * The best attempt (fewest validation errors) is returned. A failed repair call ends the
+ * repairs and the best attempt so far is returned with the failure added to its
+ * validation_errors; only a failed first call (or an abort) throws.
+ * @param {string} prompt
+ * @param {string[]} metricList requested metric names
+ * @param {object} llmOptions per-request { provider, model, generationConfig }
+ * @param {{ signal?: AbortSignal, force?: boolean, sample?: number, meter?: object }} [callOptions] aborting stops the current
+ *   call and any further repairs; `force` bypasses the response cache; `sample` numbers consistency-mode runs;
+ *   `meter` (usage.js) records every call's token usage, repairs included
+ * @returns {Promise<{ llm: object, raw: string, parsed: object, validation_errors: string[], attempts: number, cached: boolean }>}
+ *   `cached` is true when every call was answered from the response cache
+ */
+export async function evaluateWithRepair(prompt, metricList, llmOptions = {}, { signal, force = false, sample = 0, meter } = {}) {
+  const maxRepairs = maxRepairsFromEnv();
+  const responseSchema = buildResponseSchema(metricList);
+
+  let best = null;
+  let nextPrompt = prompt;
+  let cached = true;
+  for (let attempt = 1; attempt <= 1 + maxRepairs; attempt++) {
+    let llm;
+    try {
+      llm = await callLLM(nextPrompt, llmOptions, { responseSchema, signal, force, sample, meter });
+    } catch (err) {
+      if (!best || signal?.aborted) throw err;
+      best = { ...best, attempts: attempt, validation_errors: [...best.validation_errors, `Repair attempt ${attempt} failed: ${err.message}`] };
+      break;
+    }
+    cached = cached && llm.cached;
+    const { value, errors } = validateEvaluation(extractJSON(llm.text), metricList);
+    if (!best || errors.length < best.validation_errors.length) {
+      best = { llm, raw: llm.text, parsed: value, validation_errors: errors, attempts: attempt };
+    }
+    best.attempts = attempt;
+    if (!errors.length) break;
+    nextPrompt = repairPrompt(prompt, llm.text, errors);
+  }
+  return { ...best, cached };
+}
@@ -0,0 +1,199 @@
+/*
+  Evaluation core shared by the Express server (server.js), the Lambda
+  handler (amplify/functions/evaluator/index.js) and the CLI (cli.js). The
+  first two only adapt HTTP requests and responses; everything between the
+  request body and the evaluate response is here, so the deployed function
+  and the CLI can't drift from `npm run dev`:
+  - parseEvaluateRequest validates an evaluate body (url, metric / versions,
+    promptVersion, samples, feedbackLanguage) and loads the rubric and prompt
+    templates, throwing 400s before any transcript is saved or model called
+  - the service resolves the transcript (saving one sent with the request),
+    runs pipeline.js, scores the result, saves the evaluation and records
+    the run's token usage (usage.js), refusing runs once the daily budget is
+    spent
+  - evaluate / evaluateAB return the evaluate response bodies;
+    runEvaluation also returns the evaluation record, and lets the CLI pass
+    its own transcript and title, score single-metric runs and skip saving
+  The store comes from the adapter (storage.js); the Lambda creates its
+  store lazily, so it is passed as an async getter.
+*/
+
+import { loadRubric, metricsForVideoType, findMetric } from './rubric.js';
+import { loadPromptTemplate } from './prompts.js';
+import { summarizeScores } from './scoring.js';
+import { parseTranscript, computePacingStats } from './transcript.js';
+import { createEvaluationRecord, compareEvaluations } from './evaluations.js';
+import { resolveVideo } from './videos.js';
+import { parseSampleCount } from './consistency.js';
+import { parseFeedbackLanguage } from './language.js';
+import { evaluateVideo, transcriptSummary } from './pipeline.js';
+import { loadPrices, createUsageMeter, summarizeUsage, usageEntry, checkBudget } from './usage.js';
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate an evaluate request body.
+ * @param {object} body evaluate fields: url, videoType, purpose, keyConcepts, justifications, goal,
+ *   metric, transcript, transcriptFormat, provider, model, generationConfig, force, samples,
+ *   promptVersion, versions, feedbackLanguage
+ * @param {'metric'|'all'|'ab'} kind 'metric' requires `metric`; 'ab' requires two different
+ *   `versions` and takes an optional `metric`; 'all' runs every metric for the videoType
+ * @returns {Promise<object>} the request for evaluate / evaluateAB
+ * @throws 400 for missing or invalid fields (with a code where the validator sets one)
+ */
+export async function parseEvaluateRequest(body = {}, kind) {
+  const { url, videoType, purpose, keyConcepts, justifications, goal, metric, transcript, transcriptFormat, provider, model, generationConfig, force, samples, promptVersion, versions, feedbackLanguage } = body;
+  if (kind === 'metric' && (!url || !metric)) throw badRequest('Missing url or metric');
+  if (!url) throw badRequest('Missing url');
+  if (kind === 'ab' && (!Array.isArray(versions) || versions.length !== 2 || String(versions[0]) === String(versions[1]))) {
+    throw badRequest('versions must list two different prompt versions, e.g. ["5", "6"]');
+  }
+
+  const rubric = await loadRubric();
+  const rubricMetric = kind !== 'all' && metric ? findMetric(rubric, metric) : null;
+  if (kind !== 'all' && metric && !rubricMetric) throw badRequest(`Unknown metric "${metric}"`);
+  const video = resolveVideo(url);
+  const promptTemplates = await Promise.all((kind === 'ab' ? versions : [promptVersion]).map(v => loadPromptTemplate(v)));
+  return {
+    type: rubricMetric ? 'metric' : 'all',
+    videoId: video.videoId,
+    inputs: { url: video.url, videoType, purpose, keyConcepts, justifications, goal, feedbackLanguage: parseFeedbackLanguage(feedbackLanguage) },
+    metrics: rubricMetric ? [rubricMetric] : metricsForVideoType(rubric, videoType),
+    rubric,
+    promptTemplates,
+    transcriptText: transcript,
+    transcriptFormat,
+    llmOptions: { provider, model, generationConfig },
+    force: force === true,
+    samples: parseSampleCount(samples)
+  };
+}
+
+/**
+ * Stored transcript record for uploaded SRT / WebVTT / plain text.
+ * @throws 400 when the text can't be parsed
+ */
+export function transcriptRecord(text, format) {
+  let parsed;
+  try {
+    parsed = parseTranscript(text, format);
+  } catch (err) {
+    throw badRequest(err.message);
+  }
+  return {
+    format: parsed.format,
+    segments: parsed.segments,
+    pacing: computePacingStats(parsed.segments),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * @param {{ getStore: () => Promise<object> }} options storage backend (storage.js) getter
+ */
+export function createEvaluationService({ getStore }) {
+  async function getVideo(videoId) {
+    const record = await (await getStore()).get('videos', videoId);
+    return record && typeof record === 'object' ? record : null;
+  }
+
+  const getTranscript = async (videoId) => (await getStore()).get('transcripts', videoId);
+  const readUsage = async () => Object.values(await (await getStore()).all('usage'));
+
+  async function saveTranscript(videoId, text, format) {
+    const record = transcriptRecord(text, format);
+    await (await getStore()).put('transcripts', videoId, record);
+    return record;
+  }
+
+  // Use the transcript sent with the request, otherwise whatever is stored for the video
+  async function resolveTranscript(videoId, text, format) {
+    if (text && text.trim()) return saveTranscript(videoId, text, format);
+    return getTranscript(videoId);
+  }
+
+  // Failed and cancelled runs are recorded too: their completed calls were billed
+  async function recordUsage(meter, { endpoint, videoId, evaluationId }) {
+    if (!meter.calls.length) return;
+    const entry = usageEntry({ endpoint, videoId, evaluationId, calls: meter.calls });
+    await (await getStore()).put('usage', entry.id, entry).catch(err => console.error('Failed to record usage', err));
+  }
+
+  /**
+   * Evaluate through pipeline.js and save the run to evaluation history.
+   * `signal` aborts the upstream calls (nothing is saved); `onGroup` receives each finished
+   * group of evaluate-all metrics ahead of the full result. `force` skips the response cache
+   * so the model is asked again. `samples` > 1 repeats the whole evaluation and merges the
+   * runs (consistency.js). `promptTemplate` (prompts.js) supplies the persona and wording;
+   * its version is recorded. The run's model calls are recorded under `endpoint` for the
+   * usage report, and no run starts once the daily budget is used up.
+   * @param {object} run a request from parseEvaluateRequest (or the same fields) plus
+   *   `endpoint`, `promptTemplate` and the resolved `transcript`; `title` defaults to the stored
+   *   video's; `scoreSingle` adds the overall summary to single-metric runs too; `save: false`
+   *   keeps the run out of evaluation history
+   * @returns {Promise<{ record: object, response: object }>} the evaluation record and the evaluate response body
+   */
+  async function runEvaluation({ endpoint, type, videoId, inputs, metrics, rubric, promptTemplate, transcript, title, llmOptions, signal, onGroup, force = false, samples = 1, scoreSingle = false, save = true }) {
+    checkBudget(await readUsage());
+    const meter = createUsageMeter(await loadPrices());
+    let record = null;
+    try {
+      const details = { ...inputs, title: title || (await getVideo(videoId))?.title || 'Unknown Title', transcript };
+      const result = await evaluateVideo({ type, details, metrics, promptTemplate, llmOptions, signal, onGroup, force, samples, meter });
+      const { parsed } = result;
+      // Overall / category / grade figures are computed here from validated scores, not asked of the model
+      const summary = type === 'all' || scoreSingle ? summarizeScores(parsed.metrics, rubric) : null;
+      record = createEvaluationRecord({
+        type, videoId, inputs, metrics: metrics.map(m => m.name), rubricVersion: rubric.version, promptVersion: promptTemplate.version, llm: result.llm, raw: result.raw, parsed, summary,
+        validationErrors: result.validation_errors, partial: Boolean(result.partial), transcript: transcriptSummary(transcript),
+        samples: result.samples, usage: summarizeUsage(meter.calls), language: result.language
+      });
+      if (save) await (await getStore()).put('evaluations', record.id, record);
+      const response = {
+        ok: true,
+        evaluationId: record.id,
+        promptVersion: record.promptVersion,
+        raw: result.raw,
+        parsed,
+        ...(summary && { summary }),
+        validation_errors: result.validation_errors,
+        attempts: result.attempts,
+        cached: result.cached,
+        ...(result.groups && { groups: result.groups, partial: result.partial }),
+        ...(result.samples && { samples: result.samples, partial: result.partial }),
+        usage: record.usage,
+        language: record.language,
+        transcript: record.transcript
+      };
+      return { record, response };
+    } finally {
+      await recordUsage(meter, { endpoint, videoId, evaluationId: save ? record?.id ?? null : null });
+    }
+  }
+
+  /**
+   * Run a parsed evaluate-metric / evaluate-all request.
+   * @param {object} request from parseEvaluateRequest
+   * @param {{ endpoint: string, signal?: AbortSignal, onGroup?: Function }} options
+   *   `endpoint` labels the run's usage entry
+   */
+  async function evaluate(request, { endpoint, signal, onGroup }) {
+    const transcript = await resolveTranscript(request.videoId, request.transcriptText, request.transcriptFormat);
+    const { response } = await runEvaluation({ ...request, endpoint, promptTemplate: request.promptTemplates[0], transcript, signal, onGroup });
+    return response;
+  }
+
+  // A/B: the same input run with both prompt versions, both saved to history, with
+  // per-metric score deltas (positive = version b scored higher)
+  async function evaluateAB(request) {
+    const transcript = await resolveTranscript(request.videoId, request.transcriptText, request.transcriptFormat);
+    const [a, b] = await Promise.all(request.promptTemplates.map(promptTemplate => runEvaluation({ ...request, endpoint: 'evaluate-ab', promptTemplate, transcript })));
+    return { ok: true, versions: request.promptTemplates.map(t => t.version), a: a.response, b: b.response, comparison: compareEvaluations(a.record, b.record) };
+  }
+
+  return { getVideo, getTranscript, saveTranscript, readUsage, runEvaluation, evaluate, evaluateAB };
+}
@@ -0,0 +1,181 @@
+/*
+  Evaluation history helpers.
+  - Builds the stored record for one evaluate-metric / evaluate-all run
+  - Summarizes records for history listings
+  - Compares two runs metric by metric
+  - Records reviewer overrides: a human score and note per metric, kept
+    next to the model's score (never replacing it) in `record.reviews`
+  Storage itself is left to the caller (server.js / Lambda handler).
+*/
+
+import crypto from 'crypto';
+
+// Metric entries in a parsed reply; the model nests them in a few different ways
+export function metricEntries(parsed) {
+  if (!parsed || typeof parsed !== 'object') return [];
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed.metrics)) return parsed.metrics;
+  if (Array.isArray(parsed.results)) return parsed.results;
+  if (parsed.metric) return [parsed];
+  return Object.values(parsed).filter(v => v && typeof v === 'object' && v.metric);
+}
+
+// { metric name -> score } for every entry that passed validation
+export function extractScores(parsed) {
+  const scores = {};
+  for (const entry of metricEntries(parsed)) {
+    if (entry.metric && Number.isInteger(entry.score)) scores[entry.metric] = entry.score;
+  }
+  return scores;
+}
+
+const average = (values) => (values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : null);
+
+/**
+ * @param {object} run
+ * @param {'metric'|'all'} run.type
+ * @param {string} run.videoId YouTube video ID (videos.js); `inputs.url` is its canonical URL
+ * @param {object} run.inputs form fields the evaluation was run with
+ * @param {string[]} run.metrics requested metric names
+ * @param {string} [run.rubricVersion] version of rubric.json the metrics came from
+ * @param {{ provider: string, model: string, generationConfig: object }} run.llm what answered (from callLLM)
+ * @param {string} run.promptVersion
+ * @param {string} run.raw model text
+ * @param {object} run.parsed canonical shape from validateEvaluation
+ * @param {object|null} [run.summary] weighted overall / category / grade figures (scoring.js)
+ * @param {string[]} [run.validationErrors]
+ * @param {boolean} [run.partial] some metric groups failed (chunked evaluate-all)
+ * @param {object|null} run.transcript transcript summary used for the prompt
+ * @param {{ requested: number, succeeded: number, maxStddev: number }} [run.samples] consistency-mode runs merged into this one
+ * @param {object|null} [run.usage] token and cost totals for the run's model calls (usage.js summarizeUsage)
+ * @param {{ input: string|null, inputConfidence: number|null, feedback: string }} [run.language] detected input
+ *   language and the language the feedback was written in (language.js)
+ */
+export function createEvaluationRecord({ type, videoId = null, inputs, metrics, rubricVersion = null, llm, promptVersion, raw, parsed, summary = null, validationErrors = [], partial = false, transcript, samples = null, usage = null, language = null }) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    type,
+    videoId,
+    url: inputs.url,
+    inputs,
+    metrics,
+    rubricVersion,
+    provider: llm.provider,
+    model: llm.model,
+    generationConfig: llm.generationConfig,
+    promptVersion,
+    scores: extractScores(parsed),
+    summary,
+    parsed: parsed || null,
+    validation_errors: validationErrors,
+    partial,
+    samples: samples ? samples.succeeded : 1,
+    lowConfidence: (parsed?.metrics || []).filter(m => m.consistency?.lowConfidence).map(m => m.metric),
+    usage,
+    language,
+    raw,
+    transcript: transcript || null
+  };
+}
+
+// Listing view: everything except the bulky raw/parsed payloads
+export function summarizeEvaluation(record) {
+  const scores = Object.values(record.scores);
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    type: record.type,
+    videoId: record.videoId || null,
+    url: record.url,
+    provider: record.provider,
+    model: record.model,
+    promptVersion: record.promptVersion,
+    samples: record.samples || 1,
+    lowConfidence: record.lowConfidence || [],
+    metricCount: scores.length,
+    averageScore: average(scores),
+    overallScore: record.summary ? record.summary.overall : null,
+    grade: record.summary ? record.summary.grade : null,
+    reviewCount: Object.keys(record.reviews || {}).length,
+    costUsd: record.usage ? record.usage.costUsd : null,
+    feedbackLanguage: record.language ? record.language.feedback : null,
+    scores: record.scores
+  };
+}
+
+/**
+ * Per-metric score deltas from `base` to `target` (positive = improved).
+ * Metrics scored in only one of the runs are listed separately.
+ */
+export function compareEvaluations(base, target) {
+  const deltas = [];
+  const onlyInBase = [];
+  for (const [metric, score] of Object.entries(base.scores)) {
+    if (metric in target.scores) {
+      deltas.push({ metric, base: score, target: target.scores[metric], delta: target.scores[metric] - score });
+    } else {
+      onlyInBase.push(metric);
+    }
+  }
+  const onlyInTarget = Object.keys(target.scores).filter(m => !(m in base.scores));
+  return {
+    base: summarizeEvaluation(base),
+    target: summarizeEvaluation(target),
+    deltas,
+    averageDelta: average(deltas.map(d => d.delta)),
+    onlyInBase,
+    onlyInTarget
+  };
+}
+
+// Stored metric entry by rubric id or display name
+function findEntry(record, metric) {
+  return (record.parsed?.metrics || []).find(e => e.id === metric || e.metric === metric) || null;
+}
+
+/**
+ * Record (or replace) a reviewer's override for one metric of a stored run.
+ * The model's score stays in `scores` / `parsed`; calibration.js compares the two.
+ * @param {object} record stored evaluation; `record.reviews` is updated in place
+ * @param {string} metric metric id or name
+ * @param {{ score: number, note?: string, reviewer?: string }} review
+ * @returns {object} the stored review
+ */
+export function applyReview(record, metric, { score, note = '', reviewer = '' } = {}) {
+  const entry = findEntry(record, metric);
+  if (!entry) throw httpError(404, `Metric "${metric}" is not part of this evaluation`);
+  if (!Number.isInteger(score) || score < 1 || score > 10) throw httpError(400, 'score must be an integer from 1 to 10');
+  if (typeof note !== 'string' || typeof reviewer !== 'string') throw httpError(400, 'note and reviewer must be strings');
+
+  const review = {
+    metricId: entry.id || entry.metric,
+    metric: entry.metric,
+    modelScore: Number.isInteger(entry.score) ? entry.score : null,
+    humanScore: score,
+    note: note.trim(),
+    reviewer: reviewer.trim(),
+    reviewedAt: new Date().toISOString()
+  };
+  record.reviews = { ...record.reviews, [review.metricId]: review };
+  return review;
+}
+
+/**
+ * Drop the override for one metric.
+ * @returns {boolean} whether there was one
+ */
+export function removeReview(record, metric) {
+  const entry = findEntry(record, metric);
+  const key = entry ? entry.id || entry.metric : metric;
+  if (!record.reviews || !(key in record.reviews)) return false;
+  const { [key]: removed, ...rest } = record.reviews;
+  record.reviews = rest;
+  return true;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
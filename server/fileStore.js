@@ -0,0 +1,140 @@
+/*
+  File storage backend (see storage.js for the interface).
+  Each collection is one JSON object in its own file. Every change is a
+  read-modify-write of that file, so changes are serialized:
+    - within the process by a per-file promise queue
+    - across processes (a second server, the migration command) by a lock
+      file created with O_EXCL; a lock older than STALE_LOCK_MS is assumed to
+      belong to a crashed process and is taken over
+  Writes go to a temp file that is renamed into place, so readers never see
+  a half-written file. The directory is created on the first write.
+  Collections are read into null-prototype objects and looked up by own key,
+  so ids like "constructor" or "__proto__" are ordinary (missing) records.
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import { COLLECTION_FILES, checkCollection } from './storage.js';
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withLockFile(file, fn) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const handle = await fs.open(lock, 'wx');
+      await handle.close();
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.rm(lock, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock on ${path.basename(file)}`);
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lock, { force: true });
+  }
+}
+
+/**
+ * @param {{ dir: string, seedFiles?: object }} options `seedFiles` maps a collection to a
+ *   read-only file (e.g. data bundled with the Lambda) used until the collection is first written
+ */
+export function createFileStore({ dir, seedFiles = {} }) {
+  const queues = new Map();
+  let dirReady = null;
+  const fileFor = (collection) => {
+    checkCollection(collection);
+    return path.join(dir, COLLECTION_FILES[collection]);
+  };
+
+  async function readCollection(collection) {
+    const file = fileFor(collection);
+    for (const candidate of [file, seedFiles[collection]].filter(Boolean)) {
+      try {
+        return Object.assign(Object.create(null), JSON.parse(await fs.readFile(candidate, 'utf-8')));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    return Object.create(null);
+  }
+
+  async function writeCollection(collection, data) {
+    const file = fileFor(collection);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tmp, file);
+  }
+
+  // Serialized read-modify-write of a whole collection; `mutate` returns [result, changed]
+  function change(collection, mutate) {
+    const file = fileFor(collection);
+    const prev = queues.get(file) || Promise.resolve();
+    const next = prev.then(async () => {
+      dirReady ||= fs.mkdir(dir, { recursive: true }).catch((err) => { dirReady = null; throw err; });
+      await dirReady;
+    }).then(() => withLockFile(file, async () => {
+      const data = await readCollection(collection);
+      const [result, changed] = await mutate(data);
+      if (changed) await writeCollection(collection, data);
+      return result;
+    }));
+    queues.set(file, next.catch(() => {}));
+    return next;
+  }
+
+  return {
+    backend: 'file',
+
+    async get(collection, key) {
+      const data = await readCollection(collection);
+      return Object.hasOwn(data, key) ? data[key] : null;
+    },
+
+    put(collection, key, value) {
+      return change(collection, (data) => {
+        data[key] = value;
+        return [undefined, true];
+      });
+    },
+
+    delete(collection, key) {
+      return change(collection, (data) => {
+        if (!Object.hasOwn(data, key)) return [false, false];
+        delete data[key];
+        return [true, true];
+      });
+    },
+
+    update(collection, key, mutate) {
+      return change(collection, async (data) => {
+        const current = Object.hasOwn(data, key) ? data[key] : null;
+        const value = await mutate(current);
+        if (value === undefined) return [current, false];
+        data[key] = value;
+        return [value, true];
+      });
+    },
+
+    all(collection) {
+      return readCollection(collection);
+    },
+
+    async close() {
+      await Promise.all(queues.values());
+    }
+  };
+}
@@ -0,0 +1,66 @@
+/*
+  Score gates for submission pipelines (used by cli.js).
+  A gate is a minimum weighted overall score and/or minimum scores for
+  individual metrics:
+    minScore    the evaluation fails when summary.overall is below it
+    minMetrics  [{ metric: id, min }]; metric null means "every evaluated metric"
+  A metric without a valid score (failed validation or a failed group) and a
+  missing overall count as failing, so an incomplete evaluation never passes.
+*/
+
+function gateError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseMin(value, label) {
+  const min = Number(value);
+  if (value === '' || !Number.isFinite(min) || min < 0 || min > 10) throw gateError(`${label} must be a number from 0 to 10, got "${value}"`);
+  return min;
+}
+
+/**
+ * @param {{ minScore?: string|number, minMetric?: string[] }} options raw option values;
+ *   each minMetric is "metric-id=N", or just "N" for every metric
+ * @param {object[]} metrics rubric metrics being evaluated; thresholds must name one of them
+ * @returns {{ minScore: number|null, minMetrics: Array<{ metric: string|null, min: number }> }}
+ */
+export function parseGate({ minScore, minMetric = [] } = {}, metrics = []) {
+  const known = new Set(metrics.map(m => m.id));
+  const minMetrics = minMetric.map(spec => {
+    const eq = spec.lastIndexOf('=');
+    if (eq === -1) return { metric: null, min: parseMin(spec, '--min-metric') };
+    const metric = spec.slice(0, eq).trim();
+    if (!known.has(metric)) throw gateError(`--min-metric names "${metric}", which is not one of the evaluated metrics`);
+    return { metric, min: parseMin(spec.slice(eq + 1).trim(), `--min-metric ${metric}`) };
+  });
+  return { minScore: minScore === undefined ? null : parseMin(String(minScore), '--min-score'), minMetrics };
+}
+
+export const hasGate = (gate) => gate.minScore !== null || gate.minMetrics.length > 0;
+
+/**
+ * @param {{ summary: object|null, parsed: object }} evaluation summary from scoring.js, metrics with ids
+ * @param {ReturnType<typeof parseGate>} gate
+ * @returns {{ passed: boolean, failures: Array<{ target: string, score: number|null, min: number }> }}
+ *   `target` is "overall" or a metric id
+ */
+export function checkGate({ summary, parsed }, gate) {
+  const failures = [];
+  if (gate.minScore !== null) {
+    const overall = summary?.overall ?? null;
+    if (overall === null || overall < gate.minScore) failures.push({ target: 'overall', score: overall, min: gate.minScore });
+  }
+  for (const { metric, min } of gate.minMetrics) {
+    const entries = parsed.metrics.filter(e => metric === null || e.id === metric);
+    entries.forEach(e => {
+      if (!Number.isInteger(e.score) || e.score < min) failures.push({ target: e.id, score: Number.isInteger(e.score) ? e.score : null, min });
+    });
+  }
+  return { passed: failures.length === 0, failures };
+}
+
+export function describeFailure({ target, score, min }) {
+  return `${target} ${score === null ? 'unscored' : score} < ${min}`;
+}
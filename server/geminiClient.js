@@ -2,34 +2,76 @@
   Gemini client adapter for server using the official @google/generative-ai SDK.
   - Uses the Google Generative AI SDK for robust, properly authenticated calls.
   - Requires GEMINI_API_KEY environment variable.
+  - Model and generation parameters come from the caller (see llmClient.js);
+    the defaults below apply when they are omitted.
+  - Failures are thrown as typed errors (llmErrors.js): rate limits, quota,
+    safety blocks, invalid key, outages. Timeouts, retries and rate limiting
+    are applied around this call by llmClient.js.
+  - Returns { text, usage }: token counts from the response's usageMetadata
+    (null when the API leaves it out).
+  - GEMINI_BASE_URL points the SDK at another endpoint (e.g. a local fake
+    server for testing error handling).
   
   Install: npm install @google/generative-ai
 */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { llmError, classifyHTTPError, parseRetryAfter } from './llmErrors.js';
 
-export async function callGemini(prompt) {
+export const GEMINI_MODEL = 'gemini-2.0-flash';
+
+export const DEFAULT_GENERATION_CONFIG = {
+  maxOutputTokens: 800,
+  temperature: 0.2
+};
+
+// Finish reasons that mean the reply was withheld rather than completed
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
+// SDK errors -> typed errors. Fetch errors carry the HTTP status and Google's error details.
+function classifyGeminiError(err) {
+  if (typeof err.status === 'number') {
+    const details = Array.isArray(err.errorDetails) ? err.errorDetails : [];
+    const retryInfo = details.find(d => String(d['@type'] || '').endsWith('RetryInfo'));
+    const code = classifyHTTPError(err.status, `${err.message} ${JSON.stringify(details)}`);
+    return llmError(code, `Gemini ${err.status}${err.statusText ? ` ${err.statusText}` : ''}`, { provider: 'gemini', retryAfterMs: parseRetryAfter(retryInfo?.retryDelay), cause: err });
+  }
+  // Network failures ("Error fetching from ...") and anything else unexpected
+  return llmError('unavailable', err.message || String(err), { provider: 'gemini', cause: err });
+}
+
+// With a responseSchema, Gemini's structured-output mode constrains the reply to that JSON shape.
+// Aborting `signal` cancels the request in flight.
+export async function callGemini(prompt, { model = GEMINI_MODEL, generationConfig = DEFAULT_GENERATION_CONFIG, responseSchema, signal } = {}) {
   const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) throw new Error('GEMINI_API_KEY not set in environment');
+  if (!apiKey) throw llmError('invalid_key', 'GEMINI_API_KEY not set in environment', { provider: 'gemini' });
 
+  const client = new GoogleGenerativeAI(apiKey);
+  const requestOptions = process.env.GEMINI_BASE_URL ? { baseUrl: process.env.GEMINI_BASE_URL } : undefined;
+  const generativeModel = client.getGenerativeModel({ model }, requestOptions);
+
+  let result;
   try {
-    const client = new GoogleGenerativeAI(apiKey);
-    const model = client.getGenerativeModel({ model: 'gemini-2.0-flash' });
-    
-    const result = await model.generateContent({
+    result = await generativeModel.generateContent({
       contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        maxOutputTokens: 800,
-        temperature: 0.2
-      }
-    });
-    
-    const response = result.response;
-    const text = response.text();
-    return text;
+      generationConfig: responseSchema
+        ? { ...generationConfig, responseMimeType: 'application/json', responseSchema }
+        : generationConfig
+    }, { signal });
   } catch (err) {
-    console.error('Gemini SDK call failed:', err.message || err);
-    throw new Error(`Gemini API error: ${err.message || err}`);
+    if (signal?.aborted) throw signal.reason;
+    throw classifyGeminiError(err);
   }
-}
 
+  const response = result.response;
+  const finishReason = response.candidates?.[0]?.finishReason;
+  const blockedBy = response.promptFeedback?.blockReason || (BLOCKED_FINISH_REASONS.includes(finishReason) ? finishReason : null);
+  if (blockedBy) throw llmError('safety_blocked', `blocked: ${blockedBy}`, { provider: 'gemini' });
+  const meta = response.usageMetadata;
+  const usage = meta ? { promptTokens: meta.promptTokenCount ?? 0, outputTokens: meta.candidatesTokenCount ?? 0 } : null;
+  try {
+    return { text: response.text(), usage };
+  } catch (err) {
+    throw llmError('upstream', err.message || String(err), { provider: 'gemini', cause: err });
+  }
+}
@@ -0,0 +1,141 @@
+/*
+  Languages for multilingual evaluations.
+  - The input language is detected from the transcript text, or from the
+    purpose / key concepts / justifications / goal when there is no
+    transcript: Devanagari script means Hindi; otherwise common function
+    words (romanized Hindi included) and letters like ñ / ã pick between
+    English, Spanish, Portuguese and Hindi. Too little text gives no answer.
+  - `feedbackLanguage` picks the language of feedback and improvement
+    suggestions: a code from LANGUAGES, or "auto" for the detected input
+    language. FEEDBACK_LANGUAGE sets the default (English otherwise); an
+    unsupported value is a configuration error, not the client's.
+  - Metric names stay the English rubric names in the model's JSON, and
+    entries carry rubric ids, so scores compare across languages. Evidence
+    quotes stay in the transcript's own language.
+  - English-only runs get no extra instruction, so their prompts (and cache
+    keys) are unchanged.
+*/
+
+export const LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  es: 'Spanish',
+  pt: 'Portuguese'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const MIN_WORDS = 4;
+const SAMPLE_CHARS = 5000;
+
+// Frequent words that are rare in the other supported languages
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'of', 'to', 'this', 'that', 'with', 'how', 'what', 'it', 'you', 'we', 'for', 'why', 'was', 'be'],
+  es: ['el', 'los', 'las', 'y', 'es', 'por', 'con', 'del', 'una', 'pero', 'muy', 'está', 'este', 'esta', 'cómo', 'qué', 'porque', 'también', 'lo', 'su', 'al'],
+  pt: ['o', 'os', 'e', 'é', 'não', 'do', 'da', 'dos', 'das', 'em', 'uma', 'um', 'você', 'muito', 'também', 'isso', 'mas', 'ao', 'na', 'seu', 'pelo', 'pela'],
+  hi: ['hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'mein', 'aur', 'nahi', 'kya', 'yeh', 'ye', 'woh', 'hum', 'aap', 'tha', 'kaise', 'kyun', 'bhi', 'karte']
+};
+// Letters that only one of the Latin-script languages uses
+const LETTER_HINTS = { es: /[ñ¿¡]/g, pt: /[ãõç]/g };
+const DEVANAGARI = /[ऀ-ॿ]/g;
+const LETTER = /[\p{L}\p{M}]/gu;
+
+function invalid(message, code) {
+  const err = new Error(message);
+  err.status = 400;
+  if (code) err.code = code;
+  return err;
+}
+
+// Own keys only: "constructor" or "toString" are not languages
+const isFeedbackLanguage = (code) => code === 'auto' || Object.hasOwn(LANGUAGES, code);
+
+const supportedList = () => `"auto" or one of: ${Object.keys(LANGUAGES).join(', ')}`;
+
+/**
+ * The default feedback language: FEEDBACK_LANGUAGE, else English.
+ * server.js calls this on start so a bad value stops the server instead of failing requests.
+ * @throws 500 (code invalid_config) when FEEDBACK_LANGUAGE names no supported language
+ */
+export function defaultFeedbackLanguage() {
+  const configured = process.env.FEEDBACK_LANGUAGE;
+  if (!configured) return DEFAULT_LANGUAGE;
+  const code = configured.toLowerCase();
+  if (isFeedbackLanguage(code)) return code;
+  const err = new Error(`FEEDBACK_LANGUAGE "${configured}" is not supported. Use ${supportedList()}`);
+  err.status = 500;
+  err.code = 'invalid_config';
+  throw err;
+}
+
+/**
+ * Validate a request's `feedbackLanguage`.
+ * @param {string} [value] language code, "auto", or empty for the default
+ * @returns {string} a LANGUAGES code or "auto"
+ * @throws 400 (code unsupported_language) for anything else
+ */
+export function parseFeedbackLanguage(value) {
+  if (value === undefined || value === null || value === '') return defaultFeedbackLanguage();
+  const wanted = String(value).toLowerCase();
+  if (isFeedbackLanguage(wanted)) return wanted;
+  throw invalid(`Unsupported feedbackLanguage "${value}". Use ${supportedList()}`, 'unsupported_language');
+}
+
+/**
+ * Guess the language of `text`.
+ * @returns {{ language: string, confidence: number }|null} null when there is too little text
+ *   or no supported language stands out; confidence is 0-1
+ */
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const letters = (sample.match(LETTER) || []).length;
+  if (!letters) return null;
+  const devanagari = (sample.match(DEVANAGARI) || []).length;
+  if (devanagari / letters > 0.3) return { language: 'hi', confidence: Math.round((devanagari / letters) * 100) / 100 };
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_WORDS) return null;
+  const scores = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([code, list]) => {
+    const set = new Set(list);
+    return [code, words.filter(w => set.has(w)).length];
+  }));
+  Object.entries(LETTER_HINTS).forEach(([code, pattern]) => { scores[code] += (sample.match(pattern) || []).length; });
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((acc, [, score]) => acc + score, 0);
+  if (!ranked[0][1] || ranked[0][1] === ranked[1][1]) return null;
+  return { language: ranked[0][0], confidence: Math.round((ranked[0][1] / total) * 100) / 100 };
+}
+
+// The transcript is what was actually said; the form fields are the fallback
+function inputText(details) {
+  const transcript = details.transcript?.segments?.map(s => s.text).join(' ');
+  if (transcript && transcript.trim()) return transcript;
+  return [details.purpose, details.keyConcepts, details.justifications, details.goal].filter(Boolean).join('\n');
+}
+
+/**
+ * Input and feedback language for one evaluation.
+ * @param {object} details { feedbackLanguage, purpose, keyConcepts, justifications, goal, transcript }
+ * @returns {{ input: string|null, inputConfidence: number|null, feedback: string }}
+ *   "auto" falls back to the default language when detection gives no answer
+ */
+export function evaluationLanguage(details) {
+  const detected = detectLanguage(inputText(details));
+  const requested = parseFeedbackLanguage(details.feedbackLanguage);
+  const fallback = defaultFeedbackLanguage();
+  return {
+    input: detected ? detected.language : null,
+    inputConfidence: detected ? detected.confidence : null,
+    feedback: requested !== 'auto' ? requested : detected?.language || (fallback !== 'auto' ? fallback : DEFAULT_LANGUAGE)
+  };
+}
+
+/**
+ * Prompt instruction for the reply language, or '' for English feedback on English input.
+ * @param {{ input: string|null, feedback: string }} [language] from evaluationLanguage
+ */
+export function languageInstruction(language) {
+  if (!language || (language.feedback === DEFAULT_LANGUAGE && (language.input || DEFAULT_LANGUAGE) === DEFAULT_LANGUAGE)) return '';
+  const name = LANGUAGES[language.feedback];
+  const input = language.input && language.input !== language.feedback ? ` The video is in ${LANGUAGES[language.input]}.` : '';
+  return `${input} Write every "feedback" text and every "common_improvements" suggestion in ${name}. Keep each "metric" value exactly as listed (in English): it identifies the metric. Evidence quotes must stay exactly as spoken in the transcript.`.trim();
+}
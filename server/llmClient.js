@@ -0,0 +1,188 @@
+/*
+  LLM provider layer.
+  Picks a provider from the request, the LLM_PROVIDER env var, or defaults to
+  Gemini, and resolves model name and generation parameters:
+
+    gemini  -> Google Gemini via @google/generative-ai (GEMINI_API_KEY)
+    openai  -> any OpenAI-compatible chat endpoint (LLM_BASE_URL, LLM_API_KEY)
+    ollama  -> same client, defaulting to a local Ollama at http://localhost:11434/v1
+    mock    -> deterministic offline fixtures (no key, no network)
+
+  Environment defaults: LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL,
+  LLM_TEMPERATURE, LLM_MAX_OUTPUT_TOKENS. Per-request overrides:
+  { provider, model, generationConfig: { temperature, maxOutputTokens, topP } }.
+
+  Callers that need JSON pass { responseSchema }: Gemini enforces it as
+  structured output, OpenAI-compatible endpoints get JSON mode. Passing
+  { signal } (an AbortSignal) cancels the upstream request when it fires.
+
+  When a response cache is installed (useResponseCache, see responseCache.js)
+  identical calls are answered from it; { force: true } skips the lookup and
+  refreshes the stored reply.
+
+  Every provider call goes through resilience.js: a per-attempt timeout,
+  jittered exponential backoff on retryable errors (rate limits, 5xx,
+  timeouts) and a per-provider rate limiter shared by all requests.
+    LLM_TIMEOUT_MS (default 60000), LLM_MAX_RETRIES (default 3),
+    LLM_RETRY_BASE_MS (default 1000), LLM_RETRY_MAX_MS (default 30000),
+    LLM_RATE_LIMIT_RPM / LLM_RATE_LIMIT_TPM (requests / tokens per minute, default unlimited)
+  Failures surface as typed errors (llmErrors.js) with an HTTP status and code.
+
+  Every reply carries `usage` { promptTokens, outputTokens, estimated }: the
+  provider's counts, or ~4 characters per token when it reports none (cached
+  replies use no tokens). Passing { meter } (usage.js createUsageMeter) also
+  records the call there, priced, for cost accounting.
+*/
+
+import { callGemini, GEMINI_MODEL, DEFAULT_GENERATION_CONFIG } from './geminiClient.js';
+import { callOpenAICompatible } from './openaiClient.js';
+import { callMock, MOCK_MODEL } from './mockClient.js';
+import { cacheKey } from './responseCache.js';
+import { withTimeout, withRetry, createRateLimiter, estimateTokens } from './resilience.js';
+
+const PROVIDERS = {
+  gemini: { defaultModel: GEMINI_MODEL, call: (prompt, cfg, opts) => callGemini(prompt, { ...cfg, ...opts }) },
+  openai: { defaultModel: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1', call: (prompt, cfg, opts) => callOpenAICompatible(prompt, { ...cfg, jsonMode: Boolean(opts.responseSchema), signal: opts.signal }) },
+  ollama: { defaultModel: 'llama3.1', baseUrl: 'http://localhost:11434/v1', call: (prompt, cfg, opts) => callOpenAICompatible(prompt, { ...cfg, jsonMode: Boolean(opts.responseSchema), signal: opts.signal }) },
+  mock: { defaultModel: MOCK_MODEL, call: async (prompt, cfg, opts) => ({ text: await callMock(prompt, { signal: opts.signal, sample: opts.sample }), usage: null }) }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+let responseCache = null;
+
+function envInt(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function resilienceConfig() {
+  return {
+    timeoutMs: envInt('LLM_TIMEOUT_MS', 60000),
+    retries: envInt('LLM_MAX_RETRIES', 3),
+    baseMs: envInt('LLM_RETRY_BASE_MS', 1000),
+    maxMs: envInt('LLM_RETRY_MAX_MS', 30000)
+  };
+}
+
+// One limiter per provider, created on first use and shared by every request in the process
+const rateLimiters = new Map();
+
+function rateLimiterFor(provider) {
+  if (!rateLimiters.has(provider)) {
+    rateLimiters.set(provider, createRateLimiter({
+      requestsPerMinute: envInt('LLM_RATE_LIMIT_RPM', 0),
+      tokensPerMinute: envInt('LLM_RATE_LIMIT_TPM', 0)
+    }));
+  }
+  return rateLimiters.get(provider);
+}
+
+// Install (or with null, remove) the cache consulted by callLLM
+export function useResponseCache(cache) {
+  responseCache = cache;
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function envNumber(name) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+// Accepts only known generation parameters, range-checked
+function validateGenerationConfig(config = {}) {
+  if (typeof config !== 'object' || Array.isArray(config)) throw invalid('generationConfig must be an object');
+  const out = {};
+  const check = (key, min, max, integer = false) => {
+    if (config[key] === undefined) return;
+    const value = Number(config[key]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      throw invalid(`generationConfig.${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+    out[key] = value;
+  };
+  check('temperature', 0, 2);
+  check('topP', 0, 1);
+  check('maxOutputTokens', 1, 65536, true);
+  const unknown = Object.keys(config).filter(k => !['temperature', 'topP', 'maxOutputTokens'].includes(k));
+  if (unknown.length) throw invalid(`Unknown generationConfig field(s): ${unknown.join(', ')}`);
+  return out;
+}
+
+/**
+ * Resolve the provider, model and generation parameters for one call.
+ * @param {{ provider?: string, model?: string, generationConfig?: object }} [overrides] per-request values
+ * @returns {{ provider: string, model: string, baseUrl?: string, generationConfig: object }}
+ */
+export function resolveLLMConfig(overrides = {}) {
+  const provider = (overrides.provider || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const spec = PROVIDERS[provider];
+  if (!spec) throw invalid(`Unknown provider "${provider}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+
+  // An env-level LLM_MODEL only applies to the env-level provider
+  const envModel = !overrides.provider || overrides.provider === process.env.LLM_PROVIDER ? process.env.LLM_MODEL : undefined;
+  const model = overrides.model || envModel || spec.defaultModel;
+  if (typeof model !== 'string') throw invalid('model must be a string');
+
+  const envConfig = validateGenerationConfig({
+    temperature: envNumber('LLM_TEMPERATURE'),
+    maxOutputTokens: envNumber('LLM_MAX_OUTPUT_TOKENS')
+  });
+  const generationConfig = { ...DEFAULT_GENERATION_CONFIG, ...envConfig, ...validateGenerationConfig(overrides.generationConfig) };
+
+  const config = { provider, model, generationConfig };
+  if (spec.baseUrl) config.baseUrl = process.env.LLM_BASE_URL || spec.baseUrl;
+  return config;
+}
+
+// Token counts reported by the provider, or estimated from the text lengths
+function tokenUsage(prompt, reply) {
+  if (reply.usage) return { ...reply.usage, estimated: false };
+  return { promptTokens: estimateTokens(prompt), outputTokens: estimateTokens(reply.text), estimated: true };
+}
+
+/**
+ * Send a prompt to the configured provider.
+ * @param {string} prompt
+ * @param {object} [overrides] per-request { provider, model, generationConfig }
+ * @param {{ responseSchema?: object, signal?: AbortSignal, force?: boolean, sample?: number, meter?: object }} [callOptions]
+ *   `sample` numbers repeated calls of one prompt in consistency mode (cached separately);
+ *   `meter` (usage.js) records the call's token usage and cost
+ * @returns {Promise<{ text: string, provider: string, model: string, generationConfig: object, usage: object, cached: boolean }>}
+ */
+export async function callLLM(prompt, overrides = {}, callOptions = {}) {
+  const config = resolveLLMConfig(overrides);
+  callOptions.signal?.throwIfAborted();
+  const meta = { provider: config.provider, model: config.model, generationConfig: config.generationConfig };
+
+  const key = responseCache?.enabled ? cacheKey({ ...meta, prompt, sample: callOptions.sample }) : null;
+  if (key && !callOptions.force) {
+    const hit = await responseCache.get(key);
+    if (hit) {
+      const usage = { promptTokens: 0, outputTokens: 0, estimated: false };
+      callOptions.meter?.add({ ...meta, ...usage, cached: true });
+      return { text: hit.text, ...meta, usage, cached: true };
+    }
+  }
+
+  const { timeoutMs, retries, baseMs, maxMs } = resilienceConfig();
+  const { signal } = callOptions;
+  const limiter = rateLimiterFor(config.provider);
+  const tokens = estimateTokens(prompt, config.generationConfig.maxOutputTokens);
+  const reply = await withRetry(async () => {
+    await limiter.acquire(tokens, signal);
+    return withTimeout(attemptSignal => PROVIDERS[config.provider].call(prompt, config, { ...callOptions, signal: attemptSignal }), timeoutMs, signal, config.provider);
+  }, {
+    retries, baseMs, maxMs, signal,
+    onRetry: (err, attempt, delay) => console.warn(`${config.provider} call failed (${err.code || err.message}); retry ${attempt}/${retries} in ${delay} ms`)
+  });
+  const usage = tokenUsage(prompt, reply);
+  callOptions.meter?.add({ ...meta, ...usage, cached: false });
+  if (key) await responseCache.set(key, { text: reply.text, provider: config.provider, model: config.model });
+  return { text: reply.text, ...meta, usage, cached: false };
+}
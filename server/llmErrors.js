@@ -0,0 +1,69 @@
+/*
+  Typed model-call errors.
+  Provider clients turn SDK and HTTP failures into one of the types below so
+  that the retry logic (resilience.js) knows what is worth retrying, and the
+  API can answer with a meaningful HTTP status and a message the UI can show.
+
+  Every error carries:
+    status        HTTP status for our own API response
+    code          one of LLM_ERROR_TYPES
+    retryable     whether another attempt may succeed
+    retryAfterMs  provider-suggested wait, when it sent one
+    provider
+*/
+
+export const LLM_ERROR_TYPES = {
+  timeout: { status: 504, retryable: true, message: 'The model took too long to answer' },
+  rate_limited: { status: 429, retryable: true, message: 'The model provider is rate limiting requests' },
+  quota_exhausted: { status: 429, retryable: false, message: 'The model provider quota is used up' },
+  safety_blocked: { status: 422, retryable: false, message: 'The model declined to answer because of its safety filters' },
+  invalid_key: { status: 502, retryable: false, message: 'The model provider rejected the API key' },
+  unavailable: { status: 503, retryable: true, message: 'The model provider is unavailable' },
+  bad_request: { status: 502, retryable: false, message: 'The model provider rejected the request' },
+  upstream: { status: 502, retryable: false, message: 'The model provider returned an unusable response' }
+};
+
+/**
+ * @param {keyof LLM_ERROR_TYPES} code
+ * @param {string} [detail] appended to the type's message
+ * @param {{ provider?: string, retryAfterMs?: number|null, cause?: Error }} [extra]
+ */
+export function llmError(code, detail, { provider, retryAfterMs = null, cause } = {}) {
+  const type = LLM_ERROR_TYPES[code] || LLM_ERROR_TYPES.upstream;
+  const err = new Error(detail ? `${type.message} (${detail})` : type.message, cause ? { cause } : undefined);
+  err.name = 'LLMError';
+  err.code = code in LLM_ERROR_TYPES ? code : 'upstream';
+  err.status = type.status;
+  err.retryable = type.retryable;
+  err.retryAfterMs = retryAfterMs;
+  err.provider = provider;
+  return err;
+}
+
+export const isLLMError = (err) => Boolean(err) && err.name === 'LLMError';
+
+/**
+ * Error type for a provider's HTTP error status and body.
+ * 429s are per-minute rate limits unless the body names a daily or billing quota.
+ */
+export function classifyHTTPError(status, body = '') {
+  if (status === 401 || status === 403 || /API_KEY_INVALID|API key not valid|invalid_api_key|Incorrect API key/i.test(body)) return 'invalid_key';
+  if (status === 429) return /PerDay|per day|insufficient_quota/i.test(body) ? 'quota_exhausted' : 'rate_limited';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status >= 500) return 'unavailable';
+  if (status >= 400) return 'bad_request';
+  return 'upstream';
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header ("120" or an HTTP date)
+ * or a Google RetryInfo `retryDelay` ("17s", "1.5s"). Null when absent or unreadable.
+ */
+export function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const text = String(value).trim();
+  const seconds = text.match(/^(\d+(?:\.\d+)?)s?$/);
+  if (seconds) return Math.round(Number(seconds[1]) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,72 @@
+/*
+  Copy video records, transcripts and evaluations from one storage backend to another.
+
+    npm run migrate-storage -- --from file --to sqlite
+    node server/migrateStorage.js --from file:./backup --to dynamodb:my-table [--collections videos,evaluations]
+
+  Each side is backend[:location]: the directory for file, the database path for
+  sqlite, the table name for dynamodb. Anything not given falls back to the same
+  environment variables the server uses (storage.js), e.g. DYNAMODB_ENDPOINT for
+  DynamoDB Local. Records are copied key by key and overwrite records with the
+  same key at the destination; nothing is deleted from either side.
+*/
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { COLLECTIONS, createStore, storageConfigFromEnv } from './storage.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = 'Usage: node server/migrateStorage.js --from <backend[:location]> --to <backend[:location]> [--collections a,b]';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=', 2);
+    if (!['--from', '--to', '--collections'].includes(flag)) throw new Error(`Unknown option ${argv[i]}\n${USAGE}`);
+    const value = inline ?? argv[++i];
+    if (!value) throw new Error(`${flag} needs a value\n${USAGE}`);
+    args[flag.slice(2)] = value;
+  }
+  if (!args.from || !args.to) throw new Error(USAGE);
+  return args;
+}
+
+// "sqlite:/data/db.sqlite" -> store config, location overriding the environment defaults
+function storeConfig(spec) {
+  const [backend, ...rest] = spec.split(':');
+  const location = rest.join(':');
+  const config = { ...storageConfigFromEnv({ dir: __dirname }), backend };
+  if (!location) return config;
+  if (backend === 'file') config.dir = path.resolve(location);
+  else if (backend === 'sqlite') config.sqlitePath = path.resolve(location);
+  else if (backend === 'dynamodb') config.table = location;
+  return config;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const collections = args.collections ? args.collections.split(',').map(c => c.trim()) : COLLECTIONS;
+  const unknown = collections.filter(c => !COLLECTIONS.includes(c));
+  if (unknown.length) throw new Error(`Unknown collections: ${unknown.join(', ')} (use ${COLLECTIONS.join(', ')})`);
+
+  const source = await createStore(storeConfig(args.from));
+  const target = await createStore(storeConfig(args.to));
+  try {
+    for (const collection of collections) {
+      const records = await source.all(collection);
+      for (const [key, value] of Object.entries(records)) await target.put(collection, key, value);
+      console.log(`${collection}: copied ${Object.keys(records).length} records`);
+    }
+  } finally {
+    await Promise.all([source.close(), target.close()]);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
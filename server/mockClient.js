@@ -0,0 +1,82 @@
+/*
+  Deterministic offline provider.
+  Reads the metric list and (optional) timed transcript out of a prompt built
+  by prompts.js (renderPrompt) and returns a schema-valid evaluation. The same prompt
+  always yields the same reply, so the UI, demos and tests work without an
+  API key or network access.
+  MOCK_LATENCY_MS adds an (abortable) delay per call, which makes streaming
+  progress and cancellation visible without a real provider. Consistency-mode
+  samples (sample > 0) get their own seed so their scores differ a little.
+*/
+
+import { sleep } from './resilience.js';
+
+export const MOCK_MODEL = 'mock-evaluator-1';
+
+// Small stable string hash (FNV-1a)
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function requestedMetrics(prompt) {
+  const section = prompt.split('Metrics to evaluate:')[1] || '';
+  const metrics = [];
+  for (const line of section.split('\n')) {
+    // "3. Metric name — description", followed by indented anchor lines
+    const match = line.match(/^\d+\.\s+(.+?)(?:\s+—\s.*)?\s*$/);
+    if (match) metrics.push(match[1]);
+    else if (metrics.length && line.trim() && !/^\s/.test(line)) break;
+  }
+  return metrics;
+}
+
+function transcriptLines(prompt) {
+  return [...prompt.matchAll(/^\[(\d{1,2}:\d{2}(?::\d{2})?)\] (.+)$/gm)].map(m => ({ stamp: m[1], text: m[2] }));
+}
+
+const FEEDBACK = [
+  'Solid overall; tighten the opening so the main point lands sooner.',
+  'Mostly clear, but a concrete example would make this easier to follow.',
+  'Good intent; state the takeaway explicitly before moving on.',
+  'Reasonable, though some steps are skipped — walk through them once.',
+  'Strong here; keep this approach consistent through the rest of the video.'
+];
+
+export async function callMock(prompt, { signal, sample = 0 } = {}) {
+  const latency = Number(process.env.MOCK_LATENCY_MS) || 0;
+  if (latency > 0) await sleep(latency, signal);
+  else signal?.throwIfAborted();
+
+  const metrics = requestedMetrics(prompt);
+  const lines = transcriptLines(prompt);
+  const seed = hash(sample ? `${prompt}#${sample}` : prompt);
+
+  const results = metrics.map((metric) => {
+    const h = hash(`${metric}|${seed}`);
+    const cite = lines.length ? lines[h % lines.length] : null;
+    return {
+      metric,
+      score: 4 + (h % 6), // 4..9
+      feedback: cite
+        ? `${cite.stamp}–${cite.stamp}: ${FEEDBACK[(h >>> 3) % FEEDBACK.length]}`
+        : FEEDBACK[(h >>> 3) % FEEDBACK.length],
+      evidence: cite ? [{ start: cite.stamp, end: cite.stamp, quote: cite.text.split(' ').slice(0, 6).join(' ') }] : []
+    };
+  });
+
+  return JSON.stringify({
+    metrics: results,
+    common_improvements: [
+      'Open with the problem and why it matters before any detail.',
+      'Add a short recap after each major section.',
+      'Explain the reasoning behind each technical choice.',
+      'Vary pace: slow down on new concepts, speed up on recaps.',
+      'Close with a clear summary and next step for the viewer.'
+    ]
+  }, null, 2);
+}
@@ -0,0 +1,65 @@
+/*
+  Client for OpenAI-compatible chat completion endpoints.
+  - Works with OpenAI itself and with local servers exposing the same API
+    (Ollama at http://localhost:11434/v1, LM Studio, vLLM, llama.cpp server...)
+  - LLM_BASE_URL overrides the endpoint; LLM_API_KEY is sent as a bearer
+    token when set (local servers usually don't need one)
+  - jsonMode asks for response_format json_object (supported by OpenAI and Ollama)
+  - returns { text, usage }, usage being the reply's prompt / completion
+    token counts (null if the server doesn't report them)
+  - aborting `signal` cancels the request in flight
+  - failures are thrown as typed errors (llmErrors.js); timeouts, retries and
+    rate limiting are applied around this call by llmClient.js
+  Uses the native fetch available in Node 18+.
+*/
+
+import { llmError, classifyHTTPError, parseRetryAfter } from './llmErrors.js';
+
+export async function callOpenAICompatible(prompt, { provider = 'openai', baseUrl, model, generationConfig = {}, jsonMode = false, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LLM_API_KEY) headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+
+  const body = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: generationConfig.temperature,
+    top_p: generationConfig.topP,
+    max_tokens: generationConfig.maxOutputTokens
+  };
+  if (jsonMode) body.response_format = { type: 'json_object' };
+
+  let resp;
+  try {
+    resp = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(body), signal });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw llmError('unavailable', `unreachable at ${baseUrl}: ${err.message || err}`, { provider, cause: err });
+  }
+
+  let text;
+  try {
+    text = await resp.text();
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw llmError('unavailable', `connection lost: ${err.message || err}`, { provider, cause: err });
+  }
+  if (!resp.ok) {
+    throw llmError(classifyHTTPError(resp.status, text), `HTTP ${resp.status}: ${text.slice(0, 200)}`, {
+      provider,
+      retryAfterMs: parseRetryAfter(resp.headers.get('retry-after'))
+    });
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw llmError('upstream', 'non-JSON response', { provider });
+  }
+  const choice = json.choices?.[0];
+  if (choice?.finish_reason === 'content_filter') throw llmError('safety_blocked', 'content_filter', { provider });
+  const content = choice?.message?.content;
+  if (typeof content !== 'string') throw llmError('upstream', 'response has no message content', { provider });
+  const usage = json.usage ? { promptTokens: json.usage.prompt_tokens ?? 0, outputTokens: json.usage.completion_tokens ?? 0 } : null;
+  return { text: content, usage };
+}
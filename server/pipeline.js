@@ -0,0 +1,83 @@
+/*
+  One evaluation run, shared by the Express server and Lambda handler
+  (through evaluationService.js) and the command-line evaluator (cli.js):
+  render the prompt template for the video, call the model (one validated
+  call for a single metric, parallel metric groups for several), optionally
+  repeat for consistency mode, then map metric names back to rubric ids and
+  replace model-cited evidence with the verified, segment-aligned version.
+  The input language is detected and the reply language follows
+  `feedbackLanguage` (language.js). Nothing is stored here; callers decide
+  whether and where the result is saved.
+*/
+
+import { evaluateWithRepair } from './evaluationSchema.js';
+import { evaluateInChunks } from './chunkedEvaluation.js';
+import { evaluateSamples, maxStddevFromEnv } from './consistency.js';
+import { renderPrompt, personaFor } from './prompts.js';
+import { verifyEvidence } from './transcript.js';
+import { evaluationLanguage } from './language.js';
+
+const hasTimings = (transcript) => Boolean(transcript && transcript.segments.some(s => s.start != null));
+
+// Replace each metric's model-cited evidence with the verified, segment-aligned version
+function attachEvidence(parsed, transcript) {
+  for (const entry of parsed.metrics) {
+    entry.evidence = hasTimings(transcript) ? verifyEvidence(entry.evidence, transcript.segments) : [];
+  }
+  return parsed;
+}
+
+// Compact description of the transcript used, returned with evaluation responses
+export function transcriptSummary(record) {
+  if (!record) return null;
+  return { format: record.format, segmentCount: record.segments.length, pacing: record.pacing };
+}
+
+/**
+ * Evaluate one video.
+ * evaluateWithRepair (evaluationSchema.js) sends each prompt through callLLM (llmClient.js),
+ * validates the reply against the canonical schema and makes bounded repair calls when it
+ * doesn't conform.
+ * @param {object} run
+ * @param {'metric'|'all'} run.type 'all' splits the metrics into parallel groups (chunkedEvaluation.js)
+ * @param {object} run.details { url, videoType, purpose, keyConcepts, justifications, goal, feedbackLanguage, title, transcript }
+ * @param {object[]} run.metrics rubric metric objects
+ * @param {object} run.promptTemplate from prompts.js; supplies the persona and wording
+ * @param {object} [run.llmOptions] per-request { provider, model, generationConfig }
+ * @param {AbortSignal} [run.signal] aborts the upstream calls
+ * @param {(group: object) => void} [run.onGroup] each finished group of metrics, with ids and verified
+ *   evidence, ahead of the full result; not called in consistency mode
+ * @param {boolean} [run.force] skip the response cache
+ * @param {number} [run.samples] > 1 repeats the evaluation and merges the runs (consistency.js)
+ * @param {object} [run.meter] usage meter (usage.js) that records every model call's tokens and cost
+ * @returns evaluateWithRepair's result (`raw`, `llm`, `validation_errors`, `attempts`, `cached`,
+ *   plus `groups` / `samples` / `partial` when they apply) with `parsed` carrying metric ids, and
+ *   `language` { input, inputConfidence, feedback }
+ */
+export async function evaluateVideo({ type, details, metrics, promptTemplate, llmOptions = {}, signal, onGroup, force = false, samples = 1, meter }) {
+  const language = evaluationLanguage(details);
+  const withPersona = { ...details, language, persona: personaFor(promptTemplate, details.videoType) };
+
+  // The model answers with metric names; map them back to rubric entries for prompts and ids
+  const byName = new Map(metrics.map(m => [m.name, m]));
+  const metricList = metrics.map(m => m.name);
+  const promptFor = (names) => renderPrompt(promptTemplate, withPersona, names.map(n => byName.get(n)));
+
+  const groupHooks = {
+    signal,
+    force,
+    meter,
+    onGroup: onGroup && samples === 1 ? (group) => onGroup({
+      ...group,
+      metrics: attachEvidence({ metrics: group.metrics.map(entry => ({ ...entry, id: byName.get(entry.metric).id })) }, details.transcript).metrics
+    }) : undefined
+  };
+  const runOnce = (sample) => (type === 'all'
+    ? evaluateInChunks(withPersona, metricList, promptFor, llmOptions, { ...groupHooks, sample })
+    : evaluateWithRepair(promptFor(metricList), metricList, llmOptions, { signal, force, sample, meter }));
+  const result = samples > 1
+    ? await evaluateSamples(samples, runOnce, { maxStddev: maxStddevFromEnv(), signal })
+    : await runOnce(0);
+  result.parsed.metrics.forEach(entry => { entry.id = byName.get(entry.metric).id; });
+  return { ...result, parsed: attachEvidence(result.parsed, details.transcript), language };
+}
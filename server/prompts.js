@@ -0,0 +1,160 @@
+/*
+  Versioned prompt templates.
+  Each file in prompts/ (PROMPTS_DIR overrides) is one template version, so
+  the reviewer persona and instructions can be tuned without touching code
+  and every evaluation records which version produced it. Like the rubric,
+  templates are re-read on every call.
+
+  Shape:
+    {
+      version: "6",                    (must match the file name, e.g. 6.json)
+      description,
+      personas: { default: "...", "<videoType>": "..." },
+      template: [ lines joined with "\n" ],
+      transcript: { intro, pacing, missing }   (optional wording around the transcript)
+    }
+
+  Placeholders in `template`: {{persona}} (the persona for the request's
+  videoType, else the default), {{url}}, {{title}}, {{videoType}},
+  {{purpose}}, {{keyConcepts}}, {{justifications}}, {{goal}},
+  {{transcript}} (transcript and measured pacing, or the `missing` note),
+  {{metrics}} (the "Metrics to evaluate:" list from the rubric) and
+  {{outputFormat}} (the JSON reply instructions evaluationSchema.js
+  validates against, plus the reply language when it isn't English; see
+  language.js). {{metrics}} and {{outputFormat}} are required.
+
+  The default version is PROMPT_VERSION, else the highest version on disk.
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { metricPromptText } from './rubric.js';
+import { transcriptToPromptText, pacingToPromptText } from './transcript.js';
+import { languageInstruction } from './language.js';
+
+const DEFAULT_PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+const DETAIL_PLACEHOLDERS = ['url', 'title', 'videoType', 'purpose', 'keyConcepts', 'justifications', 'goal'];
+const PLACEHOLDERS = ['persona', ...DETAIL_PLACEHOLDERS, 'transcript', 'metrics', 'outputFormat'];
+const REQUIRED_PLACEHOLDERS = ['metrics', 'outputFormat'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+const DEFAULT_TRANSCRIPT_TEXT = {
+  intro: 'Transcript of the video (base content, delivery and accuracy judgements on this):',
+  pacing: 'Measured pacing facts (computed from the transcript timings; treat as ground truth):',
+  missing: 'No transcript was provided: base your judgement on the description above and say so where it limits the evaluation.'
+};
+
+const promptsDir = () => process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+const compareVersions = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+function unknownVersion(version, versions) {
+  const err = new Error(`Unknown prompt version "${version}" (available: ${versions.join(', ')})`);
+  err.status = 400;
+  err.code = 'unknown_prompt_version';
+  return err;
+}
+
+// Throws with every problem listed so a bad edit is easy to fix
+export function validatePromptTemplate(template, expectedVersion) {
+  const errors = [];
+  if (!template || typeof template !== 'object') throw new Error('Prompt template must be a JSON object');
+  if (typeof template.version !== 'string' || !template.version) errors.push('"version" must be a non-empty string');
+  else if (expectedVersion && template.version !== expectedVersion) errors.push(`"version" is "${template.version}" but the file is named ${expectedVersion}.json`);
+  const personas = template.personas;
+  if (!personas || typeof personas !== 'object' || typeof personas.default !== 'string') errors.push('"personas" needs at least a "default" string');
+  else Object.entries(personas).filter(([, text]) => typeof text !== 'string' || !text.trim()).forEach(([key]) => errors.push(`personas["${key}"] must be a non-empty string`));
+  if (!Array.isArray(template.template) || template.template.some(line => typeof line !== 'string')) {
+    errors.push('"template" must be an array of strings');
+  } else {
+    const used = [...template.template.join('\n').matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]);
+    used.filter(name => !PLACEHOLDERS.includes(name)).forEach(name => errors.push(`unknown placeholder {{${name}}}`));
+    REQUIRED_PLACEHOLDERS.filter(name => !used.includes(name)).forEach(name => errors.push(`template must contain {{${name}}}`));
+  }
+  if (template.transcript !== undefined) {
+    Object.entries(template.transcript || {}).forEach(([key, text]) => {
+      if (!(key in DEFAULT_TRANSCRIPT_TEXT)) errors.push(`transcript.${key} is not a known field (use ${Object.keys(DEFAULT_TRANSCRIPT_TEXT).join(', ')})`);
+      else if (typeof text !== 'string') errors.push(`transcript.${key} must be a string`);
+    });
+  }
+  if (errors.length) throw new Error(`Invalid prompt template${expectedVersion ? ` ${expectedVersion}` : ''}:\n- ${errors.join('\n- ')}`);
+  return template;
+}
+
+// Template versions on disk, oldest first
+export async function listPromptVersions(dir = promptsDir()) {
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length)).sort(compareVersions);
+}
+
+export async function defaultPromptVersion(dir = promptsDir()) {
+  if (process.env.PROMPT_VERSION) return process.env.PROMPT_VERSION;
+  const versions = await listPromptVersions(dir);
+  if (!versions.length) throw new Error(`No prompt templates found in ${dir}`);
+  return versions[versions.length - 1];
+}
+
+/**
+ * @param {string} [version] defaults to defaultPromptVersion()
+ * @throws 400 (code unknown_prompt_version) when no such template exists
+ */
+export async function loadPromptTemplate(version, dir = promptsDir()) {
+  const wanted = version ? String(version) : await defaultPromptVersion(dir);
+  const versions = await listPromptVersions(dir);
+  if (!versions.includes(wanted)) throw unknownVersion(wanted, versions);
+  const raw = await fs.readFile(path.join(dir, `${wanted}.json`), 'utf-8');
+  return validatePromptTemplate(JSON.parse(raw), wanted);
+}
+
+// Summary of every template for listings: version, description and which video types have their own persona
+export async function describePromptTemplates(dir = promptsDir()) {
+  const versions = await listPromptVersions(dir);
+  const templates = await Promise.all(versions.map(v => loadPromptTemplate(v, dir)));
+  return {
+    default: await defaultPromptVersion(dir),
+    versions: templates.map(t => ({
+      version: t.version,
+      description: t.description || '',
+      personas: Object.keys(t.personas).filter(key => key !== 'default')
+    }))
+  };
+}
+
+export const personaFor = (template, videoType) => template.personas[videoType] || template.personas.default;
+
+const hasTimings = (transcript) => Boolean(transcript && transcript.segments.some(s => s.start != null));
+
+// The reply format is fixed by evaluationSchema.js, so it is generated here rather than left to templates
+function outputFormatText(transcript, language) {
+  // Evidence citations are only requested when there are timings to cite
+  const evidenceInstruction = hasTimings(transcript)
+    ? ` Each metric must also include "evidence": an array of up to 3 { "start": "mm:ss", "end": "mm:ss", "quote": "<exact words from the transcript>" } pointing at the moments the feedback refers to, and the feedback should cite them inline as "mm:ss–mm:ss: <observation>".`
+    : ' Each metric must also include "evidence": [] (no timed transcript is available to cite).';
+  return `Return a JSON object of the form { "metrics": [ { "metric": "<name exactly as listed>", "score": <integer 1-10>, "feedback": "<actionable feedback>", "evidence": [...] } ], "common_improvements": [ "<suggestion>", ... ] } with one "metrics" entry per requested metric and the top 5 cross-metric suggestions in "common_improvements".${evidenceInstruction}${language ? ` ${language}` : ''} Output only valid JSON.`;
+}
+
+/**
+ * Fill a template for one video and group of metrics.
+ * @param {object} template from loadPromptTemplate
+ * @param {object} details { url, videoType, purpose, keyConcepts, justifications, goal, title, transcript, language }
+ *   `language` (language.js evaluationLanguage) sets the reply language
+ * @param {object[]} metricList rubric metric objects to evaluate (see rubric.js)
+ */
+export function renderPrompt(template, details, metricList) {
+  const text = { ...DEFAULT_TRANSCRIPT_TEXT, ...template.transcript };
+  // The transcript is what was actually said; pacing numbers are measured, not estimated
+  const transcript = details.transcript
+    ? [text.intro, transcriptToPromptText(details.transcript.segments), text.pacing, pacingToPromptText(details.transcript.pacing)].join('\n\n')
+    : text.missing;
+  const values = {
+    ...Object.fromEntries(DETAIL_PLACEHOLDERS.map(key => [key, details[key] == null ? '' : String(details[key])])),
+    title: details.title || 'Unknown Title',
+    persona: personaFor(template, details.videoType),
+    transcript,
+    // The heading is part of the block so the mock provider can always find the list
+    metrics: `Metrics to evaluate:\n\n${metricList.map(metricPromptText).join('\n')}`,
+    outputFormat: outputFormatText(details.transcript, languageInstruction(details.language))
+  };
+  return template.template.join('\n').replace(PLACEHOLDER_PATTERN, (_, name) => values[name]);
+}
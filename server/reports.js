@@ -0,0 +1,229 @@
+/*
+  Evaluation report exports.
+  - Markdown and standalone HTML reports for one stored evaluation: video
+    title and URL, the form inputs it was run with, the score table (with the
+    weighted overall, grade and category subtotals for evaluate-all runs),
+    per-metric feedback with evidence timestamps, reviewer overrides (shown
+    beside the model score, never instead of it), and common improvements
+  - CSV with one row per evaluation and one column per metric id, for
+    spreadsheet analysis across many videos
+
+  The HTML report uses inline styles only, so it can be emailed, opened
+  offline or printed to PDF as-is.
+*/
+
+import { toCSV } from './csv.js';
+import { videoIdOf } from './videos.js';
+
+export const REPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const INPUT_LABELS = [
+  ['videoType', 'Video type'],
+  ['purpose', 'Purpose'],
+  ['keyConcepts', 'Key concepts'],
+  ['justifications', 'Justifications'],
+  ['goal', 'Evaluation goal']
+];
+
+function formatSeconds(total) {
+  const s = Math.max(0, Math.round(total));
+  const mm = String(Math.floor(s / 60)).padStart(2, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return `${mm}:${ss}`;
+}
+
+// Metric rows in report order with their rubric category when known
+function metricRows(record, rubric) {
+  const byId = new Map((rubric?.metrics || []).map(m => [m.id, m]));
+  const entries = Array.isArray(record.parsed?.metrics) ? record.parsed.metrics : [];
+  return entries.map(entry => ({
+    ...entry,
+    category: byId.get(entry.id)?.category || '',
+    review: record.reviews?.[entry.id] || null,
+    evidence: Array.isArray(entry.evidence) ? entry.evidence.filter(ev => typeof ev.start === 'number') : []
+  }));
+}
+
+const scoreText = (score) => (score == null ? 'n/a' : String(score));
+const reviewerText = (review) => `Reviewer${review.reviewer ? ` (${review.reviewer})` : ''}: ${review.humanScore}`;
+
+/**
+ * Column order for metric ids: rubric order first, then any ids the rubric no longer has.
+ * @param {object} rubric
+ * @param {Iterable<string>} seenIds metric ids present in the rows
+ */
+export function metricColumns(rubric, seenIds) {
+  const seen = new Set(seenIds);
+  const known = rubric.metrics.map(m => m.id).filter(id => seen.has(id));
+  return [...known, ...[...seen].filter(id => !known.includes(id))];
+}
+
+/* ---------- Markdown ---------- */
+
+// Newlines would end a list item; pipes and newlines would break a table cell
+const mdInline = (value) => String(value ?? '').replace(/\s*\n\s*/g, ' ');
+const mdCell = (value) => mdInline(value).replace(/\|/g, '\\|');
+
+/**
+ * @param {object} record stored evaluation (see evaluations.js)
+ * @param {{ title?: string, rubric?: object }} [context]
+ */
+export function reportToMarkdown(record, { title, rubric } = {}) {
+  const rows = metricRows(record, rubric);
+  const lines = [`# ${title || 'Untitled video'}`, '', `Video: ${record.url}`, `Evaluated: ${record.createdAt} · ${record.model} (${record.provider})`, ''];
+
+  lines.push('## Context', '');
+  INPUT_LABELS.forEach(([key, label]) => { if (record.inputs?.[key]) lines.push(`- **${label}:** ${mdInline(record.inputs[key])}`); });
+  lines.push('');
+
+  if (record.summary && record.summary.overall != null) {
+    const s = record.summary;
+    lines.push('## Summary', '', `**Overall: ${s.overall} / 10**${s.grade ? ` — ${s.grade.label}` : ''}`, '');
+    Object.entries(s.categories).forEach(([name, score]) => lines.push(`- ${name}: ${score}`));
+    if (s.weakest.length) lines.push('', `Focus first: ${s.weakest.map(w => `${w.metric} (${w.score})`).join(', ')}`);
+    lines.push('');
+  }
+  if (record.partial) lines.push('> Partial result: some metrics could not be evaluated.', '');
+
+  const reviewed = rows.some(r => r.review);
+  lines.push('## Scores', '', `| Metric | Category | Score |${reviewed ? ' Reviewer |' : ''}`, `| --- | --- | --- |${reviewed ? ' --- |' : ''}`);
+  rows.forEach(r => lines.push(`| ${mdCell(r.metric)} | ${mdCell(r.category)} | ${scoreText(r.score)} |${reviewed ? ` ${r.review ? r.review.humanScore : ''} |` : ''}`));
+  lines.push('');
+
+  lines.push('## Feedback', '');
+  rows.forEach(r => {
+    lines.push(`### ${r.metric} — ${scoreText(r.score)}`, '', r.feedback || '_No valid feedback returned._', '');
+    r.evidence.forEach(ev => lines.push(`- ${formatSeconds(ev.start)}–${formatSeconds(ev.end ?? ev.start)}: "${ev.quote}"`));
+    if (r.evidence.length) lines.push('');
+    if (r.review) lines.push(`> **${mdInline(reviewerText(r.review))}**${r.review.note ? ` — ${mdInline(r.review.note)}` : ''}`, '');
+  });
+
+  const improvements = record.parsed?.common_improvements || [];
+  if (improvements.length) {
+    lines.push('## Common improvements', '');
+    improvements.forEach(s => lines.push(`- ${s}`));
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/* ---------- HTML ---------- */
+
+const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const GRADE_COLORS = {
+  'interview-ready': 'background:#dcfce7;color:#166534',
+  'needs-polish': 'background:#fef9c3;color:#854d0e',
+  rework: 'background:#fee2e2;color:#991b1b'
+};
+
+const CELL = 'border-bottom:1px solid #e6e9ef;padding:6px 8px;text-align:left';
+
+/**
+ * Standalone printable page; every style is inline.
+ * @param {object} record stored evaluation (see evaluations.js)
+ * @param {{ title?: string, rubric?: object }} [context]
+ */
+export function reportToHTML(record, { title, rubric } = {}) {
+  const rows = metricRows(record, rubric);
+  const heading = escapeHTML(title || 'Untitled video');
+  const parts = [];
+
+  parts.push(`<h1 style="font-size:24px;margin:0 0 4px">${heading}</h1>`);
+  parts.push(`<p style="margin:0;color:#6b7280;font-size:13px"><a href="${escapeHTML(record.url)}" style="color:#2563eb">${escapeHTML(record.url)}</a><br>Evaluated ${escapeHTML(record.createdAt)} · ${escapeHTML(record.model)} (${escapeHTML(record.provider)})</p>`);
+
+  const context = INPUT_LABELS.filter(([key]) => record.inputs?.[key])
+    .map(([key, label]) => `<dt style="font-weight:600;margin-top:6px">${label}</dt><dd style="margin:0">${escapeHTML(record.inputs[key])}</dd>`).join('');
+  if (context) parts.push(`<h2 style="font-size:18px;margin:20px 0 6px">Context</h2><dl style="margin:0">${context}</dl>`);
+
+  if (record.summary && record.summary.overall != null) {
+    const s = record.summary;
+    const grade = s.grade ? `<span style="margin-left:12px;padding:4px 10px;border-radius:999px;font-size:13px;font-weight:600;${GRADE_COLORS[s.grade.id] || 'background:#e5e7eb'}">${escapeHTML(s.grade.label)}</span>` : '';
+    const cats = Object.entries(s.categories).map(([name, score]) => `<span style="display:inline-block;margin:4px 6px 0 0;padding:4px 10px;border-radius:8px;background:#f3f4f6;font-size:13px">${escapeHTML(name)} <strong>${score}</strong></span>`).join('');
+    parts.push(`<div style="margin:20px 0 0;padding:12px 14px;border:1px solid #e6e9ef;border-radius:10px"><span style="font-size:32px;font-weight:700">${s.overall}</span><span style="color:#6b7280;font-size:13px"> / 10 weighted</span>${grade}<div>${cats}</div></div>`);
+  }
+  if (record.partial) parts.push('<p style="color:#b45309">Partial result: some metrics could not be evaluated.</p>');
+
+  const reviewed = rows.some(r => r.review);
+  const reviewCell = (r) => (reviewed ? `<td style="${CELL}">${r.review ? r.review.humanScore : ''}</td>` : '');
+  const tableRows = rows.map(r => `<tr><td style="${CELL}">${escapeHTML(r.metric)}</td><td style="${CELL}">${escapeHTML(r.category)}</td><td style="${CELL};font-weight:600">${scoreText(r.score)}</td>${reviewCell(r)}</tr>`).join('');
+  parts.push(`<h2 style="font-size:18px;margin:20px 0 6px">Scores</h2><table style="border-collapse:collapse;width:100%;font-size:14px"><thead><tr><th style="${CELL}">Metric</th><th style="${CELL}">Category</th><th style="${CELL}">Score</th>${reviewed ? `<th style="${CELL}">Reviewer</th>` : ''}</tr></thead><tbody>${tableRows}</tbody></table>`);
+
+  const feedback = rows.map(r => {
+    const evidence = r.evidence.length
+      ? `<ul style="margin:6px 0 0;padding-left:18px;font-size:13px;color:#374151">${r.evidence.map(ev => `<li>${formatSeconds(ev.start)}–${formatSeconds(ev.end ?? ev.start)}: “${escapeHTML(ev.quote)}”</li>`).join('')}</ul>`
+      : '';
+    const review = r.review
+      ? `<p style="margin:6px 0 0;padding:6px 10px;border-left:3px solid #2563eb;background:#eff6ff;font-size:13px"><strong>${escapeHTML(reviewerText(r.review))}</strong>${r.review.note ? ` — ${escapeHTML(r.review.note)}` : ''}</p>`
+      : '';
+    return `<section style="break-inside:avoid;margin:0 0 14px"><h3 style="font-size:15px;margin:0 0 4px">${escapeHTML(r.metric)} — ${scoreText(r.score)}</h3><p style="margin:0">${r.feedback ? escapeHTML(r.feedback) : '<em>No valid feedback returned.</em>'}</p>${evidence}${review}</section>`;
+  }).join('');
+  parts.push(`<h2 style="font-size:18px;margin:20px 0 6px">Feedback</h2>${feedback}`);
+
+  const improvements = record.parsed?.common_improvements || [];
+  if (improvements.length) {
+    parts.push(`<h2 style="font-size:18px;margin:20px 0 6px">Common improvements</h2><ul style="margin:0;padding-left:20px">${improvements.map(s => `<li>${escapeHTML(s)}</li>`).join('')}</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading} — evaluation report</title>
+</head>
+<body style="margin:0;background:#fff;color:#111827;font-family:system-ui,-apple-system,'Segoe UI',Roboto,sans-serif;line-height:1.5">
+<main style="max-width:800px;margin:0 auto;padding:24px">
+${parts.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/* ---------- CSV ---------- */
+
+/**
+ * One row per evaluation, one column per metric id.
+ * @param {object[]} records stored evaluations
+ * @param {{ titles?: object, rubric: object }} context titles keyed by video ID
+ */
+export function evaluationsToCSV(records, { titles = {}, rubric }) {
+  const rowScores = records.map(record => Object.fromEntries(metricRows(record, rubric).filter(r => r.id).map(r => [r.id, r.score])));
+  const metricIds = metricColumns(rubric, rowScores.flatMap(Object.keys));
+  const columns = ['videoId', 'url', 'title', 'videoType', 'evaluationId', 'createdAt', 'model', 'overall', 'grade', ...metricIds];
+  const rows = records.map((record, i) => ({
+    videoId: videoIdOf(record),
+    url: record.url,
+    title: titles[videoIdOf(record)] || '',
+    videoType: record.inputs?.videoType,
+    evaluationId: record.id,
+    createdAt: record.createdAt,
+    model: record.model,
+    overall: record.summary?.overall,
+    grade: record.summary?.grade?.label,
+    ...rowScores[i]
+  }));
+  return toCSV(columns, rows);
+}
+
+/**
+ * Render one evaluation in the requested format.
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+export function exportEvaluation(record, format, context) {
+  const spec = REPORT_FORMATS[format];
+  if (!spec) {
+    const err = new Error(`format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  const body = format === 'md' ? reportToMarkdown(record, context)
+    : format === 'html' ? reportToHTML(record, context)
+      : evaluationsToCSV([record], { titles: { [videoIdOf(record)]: context.title }, rubric: context.rubric });
+  return { body, contentType: spec.contentType, filename: `evaluation-${record.id}.${spec.extension}` };
+}
@@ -0,0 +1,130 @@
+/*
+  Resilience helpers for model calls (used by llmClient.js for every provider).
+  - withTimeout: per-attempt deadline; the attempt's signal is aborted with a
+    typed `timeout` error so the provider's request is cancelled too
+  - withRetry: jittered exponential backoff for retryable errors (429 rate
+    limits, 5xx, timeouts), honouring a provider's Retry-After when given
+  - createRateLimiter: client-side requests/minute and tokens/minute budget.
+    One limiter per provider is shared by every request in the process, so
+    parallel metric groups, batch items and concurrent users queue behind
+    the same budget instead of all hitting the provider at once.
+*/
+
+import { llmError } from './llmErrors.js';
+
+// Resolves after `ms`, or rejects with the abort reason as soon as `signal` fires
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `fn(signal)` with a deadline. The signal passed to `fn` fires on the
+ * deadline or when the caller's `signal` fires, whichever comes first.
+ * @param {(signal: AbortSignal) => Promise<any>} fn
+ * @param {number} ms 0 disables the deadline
+ * @param {AbortSignal} [signal]
+ * @param {string} [provider] recorded on the timeout error
+ */
+export async function withTimeout(fn, ms, signal, provider) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = ms > 0 ? setTimeout(() => controller.abort(llmError('timeout', `no reply within ${ms} ms`, { provider })), ms) : null;
+  try {
+    return await fn(controller.signal);
+  } catch (err) {
+    // Providers may surface the abort as their own error type; report why it was aborted
+    if (controller.signal.aborted) throw controller.signal.reason;
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): full jitter over an
+ * exponentially growing window, but never shorter than the provider asked for.
+ */
+export function backoffDelay(attempt, { baseMs, maxMs, retryAfterMs = null }) {
+  const window = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  const jittered = Math.round(window / 2 + Math.random() * (window / 2));
+  return retryAfterMs != null ? Math.max(jittered, Math.min(retryAfterMs, maxMs)) : jittered;
+}
+
+/**
+ * Call `fn(attempt)` until it succeeds, a non-retryable error is thrown, or
+ * `retries` extra attempts have been made.
+ * @param {(attempt: number) => Promise<any>} fn
+ * @param {{ retries: number, baseMs: number, maxMs: number, signal?: AbortSignal,
+ *           onRetry?: (err: Error, attempt: number, delayMs: number) => void }} options
+ */
+export async function withRetry(fn, { retries, baseMs, maxMs, signal, onRetry }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (signal?.aborted || !err.retryable || attempt > retries) throw err;
+      const delay = backoffDelay(attempt, { baseMs, maxMs, retryAfterMs: err.retryAfterMs });
+      onRetry?.(err, attempt, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Rough token count for budgeting: ~4 characters per token plus the reply allowance
+export const estimateTokens = (prompt, maxOutputTokens = 0) => Math.ceil(prompt.length / 4) + maxOutputTokens;
+
+/**
+ * Sliding one-minute window limiter. Callers are served in arrival order;
+ * 0 (or unset) disables a limit.
+ * @param {{ requestsPerMinute?: number, tokensPerMinute?: number }} limits
+ */
+export function createRateLimiter({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+  const WINDOW_MS = 60 * 1000;
+  const log = []; // { at, tokens } for calls started within the window
+  let queue = Promise.resolve();
+
+  // How long until a call of `tokens` fits in both budgets
+  function waitFor(tokens, now) {
+    while (log.length && now - log[0].at >= WINDOW_MS) log.shift();
+    let wait = 0;
+    if (requestsPerMinute > 0 && log.length >= requestsPerMinute) {
+      wait = log[log.length - requestsPerMinute].at + WINDOW_MS - now;
+    }
+    if (tokensPerMinute > 0) {
+      // A single call larger than the whole budget waits for an empty window rather than forever
+      let excess = log.reduce((sum, e) => sum + e.tokens, 0) + Math.min(tokens, tokensPerMinute) - tokensPerMinute;
+      for (let i = 0; excess > 0 && i < log.length; i++) {
+        excess -= log[i].tokens;
+        wait = Math.max(wait, log[i].at + WINDOW_MS - now);
+      }
+    }
+    return Math.max(0, wait);
+  }
+
+  return {
+    enabled: requestsPerMinute > 0 || tokensPerMinute > 0,
+
+    // Resolves once the call may start; rejects with the abort reason if `signal` fires first
+    acquire(tokens = 0, signal) {
+      if (!this.enabled) return Promise.resolve();
+      const turn = queue.then(async () => {
+        for (;;) {
+          signal?.throwIfAborted();
+          const wait = waitFor(tokens, Date.now());
+          if (!wait) break;
+          await sleep(wait, signal);
+        }
+        log.push({ at: Date.now(), tokens });
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
@@ -0,0 +1,157 @@
+/*
+  Model response cache.
+  Identical requests (same provider, model, generation settings and final
+  prompt) are answered from the cache instead of calling the provider again,
+  which saves cost and returns the same answer when nothing changed.
+
+  - Entries expire after `ttlSeconds`; a ttl of 0 disables the cache
+  - At most `maxEntries` are kept; the least recently used are evicted first
+  - With a `file`, entries are loaded from and written to disk (atomic
+    rename, serialized writes); without one they live in memory only
+
+  Config (responseCacheFromEnv): RESPONSE_CACHE_TTL_SECONDS (default
+  7 days), RESPONSE_CACHE_MAX_ENTRIES (default 500). llmClient.js consults
+  the cache installed with useResponseCache() on every call.
+*/
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+export const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Stable key for one model call. `sample` (consistency mode) keeps the N samples of
+ * one prompt apart; sample 0 shares its key with an ordinary call.
+ * @param {{ provider: string, model: string, generationConfig: object, prompt: string, sample?: number }} request
+ */
+export function cacheKey({ provider, model, generationConfig, prompt, sample = 0 }) {
+  // Sort config keys so { a, b } and { b, a } hash the same
+  const config = Object.fromEntries(Object.entries(generationConfig || {}).sort(([a], [b]) => a.localeCompare(b)));
+  const parts = sample ? [provider, model, config, prompt, sample] : [provider, model, config, prompt];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * @param {object} [options]
+ * @param {string|null} [options.file] JSON file for persistence; memory only when omitted
+ * @param {number} [options.ttlSeconds]
+ * @param {number} [options.maxEntries]
+ */
+export function createResponseCache({ file = null, ttlSeconds = DEFAULT_TTL_SECONDS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  let entries = null; // Map key -> { text, provider, model, createdAt, lastUsedAt, hits }
+  let loading = null;
+  let writeChain = Promise.resolve();
+  const counters = { hits: 0, misses: 0 };
+
+  const enabled = ttlSeconds > 0 && maxEntries > 0;
+  const expired = (entry, now = Date.now()) => now - entry.createdAt > ttlSeconds * 1000;
+
+  function load() {
+    if (entries) return Promise.resolve();
+    if (!loading) {
+      loading = (async () => {
+        entries = new Map();
+        if (!file) return;
+        try {
+          const stored = JSON.parse(await fs.readFile(file, 'utf-8'));
+          const now = Date.now();
+          Object.entries(stored).forEach(([key, entry]) => { if (!expired(entry, now)) entries.set(key, entry); });
+        } catch (err) {
+          if (err.code !== 'ENOENT') console.error('Ignoring unreadable response cache', err.message);
+        }
+      })();
+    }
+    return loading;
+  }
+
+  function persist() {
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify(Object.fromEntries(entries));
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeChain = writeChain
+      .then(() => fs.writeFile(tmp, snapshot, 'utf-8'))
+      .then(() => fs.rename(tmp, file))
+      .catch(err => console.error('Failed to persist response cache', err));
+    return writeChain;
+  }
+
+  function evict() {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (expired(entry, now)) entries.delete(key);
+    if (entries.size <= maxEntries) return;
+    const oldest = [...entries].sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt);
+    oldest.slice(0, entries.size - maxEntries).forEach(([key]) => entries.delete(key));
+  }
+
+  return {
+    enabled,
+
+    // Cached text for `key`, or null when missing or expired
+    async get(key) {
+      if (!enabled) return null;
+      await load();
+      const entry = entries.get(key);
+      if (!entry || expired(entry)) {
+        if (entry) entries.delete(key);
+        counters.misses++;
+        return null;
+      }
+      entry.lastUsedAt = Date.now();
+      entry.hits = (entry.hits || 0) + 1;
+      counters.hits++;
+      return entry;
+    },
+
+    async set(key, { text, provider, model }) {
+      if (!enabled) return;
+      await load();
+      const now = Date.now();
+      entries.set(key, { text, provider, model, createdAt: now, lastUsedAt: now, hits: 0 });
+      evict();
+      await persist();
+    },
+
+    /**
+     * Remove entries; with no filter everything goes.
+     * @param {{ provider?: string, model?: string, olderThanSeconds?: number }} [filter]
+     * @returns {Promise<number>} entries removed
+     */
+    async purge({ provider, model, olderThanSeconds } = {}) {
+      await load();
+      const cutoff = olderThanSeconds != null ? Date.now() - olderThanSeconds * 1000 : null;
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (provider && entry.provider !== provider) continue;
+        if (model && entry.model !== model) continue;
+        if (cutoff != null && entry.createdAt > cutoff) continue;
+        entries.delete(key);
+        removed++;
+      }
+      if (removed) await persist();
+      return removed;
+    },
+
+    async stats() {
+      await load();
+      evict();
+      return { enabled, entries: entries.size, maxEntries, ttlSeconds, hits: counters.hits, misses: counters.misses };
+    }
+  };
+}
+
+function envInt(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+// Cache configured from RESPONSE_CACHE_TTL_SECONDS / RESPONSE_CACHE_MAX_ENTRIES
+export function responseCacheFromEnv(file) {
+  return createResponseCache({
+    file,
+    ttlSeconds: envInt('RESPONSE_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS),
+    maxEntries: envInt('RESPONSE_CACHE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES)
+  });
+}
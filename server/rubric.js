@@ -0,0 +1,99 @@
+/*
+  Metric rubric.
+  The rubric lives in rubric.json next to this file (RUBRIC_PATH overrides)
+  so teams can change metrics, descriptions, score anchors, categories,
+  weights and per-video-type sets without touching code. It is re-read on
+  every call, like the other JSON stores, so edits apply without a restart.
+
+  Shape:
+    {
+      version, categories: [..], videoTypes: [..],
+      gradeBands: [{ id, label, min }]   (optional; overall-score thresholds, see scoring.js)
+      metrics: [{ id, name, category, weight, videoTypes: [..], description,
+                  anchors: { "1": .., "5": .., "10": .. } }]
+    }
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_RUBRIC_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rubric.json');
+
+const ANCHOR_KEYS = ['1', '5', '10'];
+
+// Throws with every problem listed so a bad edit is easy to fix
+export function validateRubric(rubric) {
+  const errors = [];
+  if (!rubric || typeof rubric !== 'object') throw new Error('Rubric must be a JSON object');
+  const categories = Array.isArray(rubric.categories) ? rubric.categories : [];
+  const videoTypes = Array.isArray(rubric.videoTypes) ? rubric.videoTypes : [];
+  if (!categories.length) errors.push('"categories" must be a non-empty array');
+  if (!videoTypes.length) errors.push('"videoTypes" must be a non-empty array');
+  if (!Array.isArray(rubric.metrics) || !rubric.metrics.length) errors.push('"metrics" must be a non-empty array');
+
+  const ids = new Set();
+  const names = new Set();
+  (rubric.metrics || []).forEach((m, i) => {
+    const where = `metrics[${i}]${m && m.id ? ` (${m.id})` : ''}`;
+    if (!m || typeof m !== 'object') { errors.push(`${where} must be an object`); return; }
+    if (typeof m.id !== 'string' || !/^[a-z0-9-]+$/.test(m.id)) errors.push(`${where}: id must be lowercase kebab-case`);
+    else if (ids.has(m.id)) errors.push(`${where}: duplicate id`);
+    ids.add(m.id);
+    if (typeof m.name !== 'string' || !m.name.trim()) errors.push(`${where}: name is required`);
+    else if (names.has(m.name)) errors.push(`${where}: duplicate name "${m.name}"`);
+    names.add(m.name);
+    if (!categories.includes(m.category)) errors.push(`${where}: unknown category "${m.category}"`);
+    if (typeof m.weight !== 'number' || !(m.weight > 0)) errors.push(`${where}: weight must be a positive number`);
+    if (!Array.isArray(m.videoTypes) || !m.videoTypes.length) errors.push(`${where}: videoTypes must be a non-empty array`);
+    else m.videoTypes.filter(t => !videoTypes.includes(t)).forEach(t => errors.push(`${where}: unknown videoType "${t}"`));
+    if (typeof m.description !== 'string' || !m.description.trim()) errors.push(`${where}: description is required`);
+    if (!m.anchors || ANCHOR_KEYS.some(k => typeof m.anchors[k] !== 'string')) errors.push(`${where}: anchors need "1", "5" and "10" text`);
+  });
+
+  if (rubric.gradeBands !== undefined) {
+    if (!Array.isArray(rubric.gradeBands) || !rubric.gradeBands.length) errors.push('"gradeBands" must be a non-empty array when present');
+    else rubric.gradeBands.forEach((b, i) => {
+      if (!b || typeof b.id !== 'string' || typeof b.label !== 'string' || typeof b.min !== 'number') {
+        errors.push(`gradeBands[${i}] needs string id and label and a numeric min`);
+      }
+    });
+  }
+
+  if (errors.length) throw new Error(`Invalid rubric:\n- ${errors.join('\n- ')}`);
+  return rubric;
+}
+
+export async function loadRubric(file = process.env.RUBRIC_PATH || DEFAULT_RUBRIC_PATH) {
+  const raw = await fs.readFile(file, 'utf-8');
+  return validateRubric(JSON.parse(raw));
+}
+
+/**
+ * Metrics that apply to a video type; an empty type gets the full list.
+ * @throws 400 (code unknown_video_type) for a type the rubric doesn't list, naming the valid ones,
+ *   so a typo isn't silently evaluated against every metric
+ */
+export function metricsForVideoType(rubric, videoType) {
+  if (!videoType) return rubric.metrics;
+  if (!rubric.videoTypes.includes(videoType)) {
+    const err = new Error(`Unknown videoType "${videoType}". Use one of: ${rubric.videoTypes.join(', ')}`);
+    err.status = 400;
+    err.code = 'unknown_video_type';
+    throw err;
+  }
+  return rubric.metrics.filter(m => m.videoTypes.includes(videoType));
+}
+
+// Resolve a metric given by id or by display name
+export function findMetric(rubric, idOrName) {
+  return rubric.metrics.find(m => m.id === idOrName || m.name === idOrName) || null;
+}
+
+// Prompt text for one metric: name, what it measures and the 1/5/10 anchors
+export function metricPromptText(metric, index) {
+  return [
+    `${index + 1}. ${metric.name} — ${metric.description}`,
+    `   Score anchors: 1 = ${metric.anchors['1']} | 5 = ${metric.anchors['5']} | 10 = ${metric.anchors['10']}`
+  ].join('\n');
+}
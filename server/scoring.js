@@ -0,0 +1,74 @@
+/*
+  Score aggregation for evaluate-all.
+  Computed in code from the validated per-metric scores — never taken from
+  the model — using rubric weights and categories:
+    - overall: weighted mean of all scored metrics
+    - categories: weighted mean per rubric category
+    - grade: band from the rubric's `gradeBands` thresholds
+    - weakest: the three lowest-scoring metrics
+  Metrics with a null score (failed validation or failed group) are left
+  out of every average and reported in `unscored`.
+*/
+
+// Used when rubric.json has no gradeBands; ordered from best to worst
+export const DEFAULT_GRADE_BANDS = [
+  { id: 'interview-ready', label: 'Interview-ready', min: 8 },
+  { id: 'needs-polish', label: 'Needs polish', min: 6 },
+  { id: 'rework', label: 'Rework', min: 0 }
+];
+
+const WEAKEST_COUNT = 3;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function weightedMean(items) {
+  const totalWeight = items.reduce((acc, i) => acc + i.weight, 0);
+  if (!totalWeight) return null;
+  return round1(items.reduce((acc, i) => acc + i.score * i.weight, 0) / totalWeight);
+}
+
+// Bands sorted by descending `min`; the first one the score reaches wins
+export function gradeFor(score, bands = DEFAULT_GRADE_BANDS) {
+  if (score == null) return null;
+  const sorted = [...bands].sort((a, b) => b.min - a.min);
+  const band = sorted.find(b => score >= b.min) || sorted[sorted.length - 1];
+  return { id: band.id, label: band.label, min: band.min };
+}
+
+/**
+ * @param {Array<{ id: string, metric: string, score: number|null }>} entries validated metric entries
+ * @param {object} rubric loaded rubric (metrics, categories, optional gradeBands)
+ */
+export function summarizeScores(entries, rubric) {
+  const byId = new Map(rubric.metrics.map(m => [m.id, m]));
+  const scored = [];
+  const unscored = [];
+  for (const entry of entries) {
+    const def = byId.get(entry.id);
+    if (!def) continue;
+    if (Number.isInteger(entry.score)) scored.push({ id: def.id, metric: def.name, category: def.category, weight: def.weight, score: entry.score });
+    else unscored.push(def.id);
+  }
+
+  const categories = {};
+  for (const category of rubric.categories) {
+    const items = scored.filter(s => s.category === category);
+    if (items.length) categories[category] = weightedMean(items);
+  }
+
+  // Lowest score first; heavier weight breaks ties since it hurts the overall more
+  const weakest = [...scored]
+    .sort((a, b) => a.score - b.score || b.weight - a.weight)
+    .slice(0, WEAKEST_COUNT)
+    .map(({ id, metric, score, category }) => ({ id, metric, score, category }));
+
+  const overall = weightedMean(scored);
+  return {
+    overall,
+    grade: gradeFor(overall, rubric.gradeBands || DEFAULT_GRADE_BANDS),
+    categories,
+    weakest,
+    scoredCount: scored.length,
+    unscored
+  };
+}
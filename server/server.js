@@ -1,27 +1,114 @@
 /*
   Express server for YouTube explainer evaluation with Gemini 2.0 Flash
-  - Loads/stores local video title mapping in videoDetails.json
+  - Stores video records (title, channel, duration, tags, notes) keyed by YouTube video ID;
+    every URL form of a video maps to the same ID (videos.js)
+  - Video records, transcripts, evaluations and cohorts live in the storage backend chosen by
+    STORAGE_BACKEND: file (videoDetails.json etc. in this directory, the default), sqlite or
+    dynamodb (storage.js); `npm run migrate-storage` copies data between backends
   - Exposes endpoints:
     POST /api/evaluate-metric  -> evaluate single metric
     POST /api/evaluate-all     -> evaluate all metrics
-    GET  /api/video-title?url=  -> fetch stored title for URL
-    POST /api/video-title      -> save title for URL
+    POST /api/evaluate-all/stream -> same as evaluate-all, streamed as Server-Sent Events
+    POST /api/evaluate-ab      -> evaluate with two prompt template versions ({ versions: [a, b] }) and compare scores
+    GET  /api/prompts          -> prompt template versions and the default
+    GET  /api/prompts/:version -> one prompt template
+    GET  /api/videos           -> every stored video record
+    GET  /api/videos/:id       -> one video (id or any YouTube URL form), with transcript / evaluation links
+    POST /api/videos           -> create or update the record for { url, title, channel, durationSeconds, tags, notes }
+    PUT  /api/videos/:id       -> update fields of an existing record
+    DELETE /api/videos/:id     -> delete the record (transcript and evaluations are kept)
+    GET  /api/transcript?url=  -> fetch stored transcript segments + pacing for the video
+    POST /api/transcript       -> parse and save a transcript (SRT, WebVTT or text)
+    GET  /api/evaluations?url= -> list past evaluation runs for the video, any URL form (newest first)
+    GET  /api/evaluations/compare?base=&target= -> per-metric score deltas between two runs
+    GET  /api/evaluations/:id  -> full stored evaluation run
+    GET  /api/evaluations/:id/export?format=md|html|csv -> downloadable report for one run
+    GET  /api/evaluations/export?format=csv&ids= -> one row per evaluation, one column per metric
+    PUT  /api/evaluations/:id/reviews/:metric -> reviewer override { score, note, reviewer } for one metric
+    DELETE /api/evaluations/:id/reviews/:metric -> remove that override
+    GET  /api/calibration?videoType=&minReviews=&maxMae= -> per-metric model-vs-reviewer agreement (MAE, correlation)
+    GET  /api/usage?from=&to=  -> token usage and estimated cost by day, endpoint, model and video, plus the daily budget
+    GET  /api/cohorts          -> every cohort / playlist with its video count
+    POST /api/cohorts          -> create { name, kind, description, videos } (id is a slug of the name)
+    GET  /api/cohorts/:id      -> one cohort with its videos
+    PUT  /api/cohorts/:id      -> rename or edit { name, kind, description }
+    DELETE /api/cohorts/:id    -> delete the cohort (videos and evaluations are kept)
+    POST /api/cohorts/:id/videos -> add { videos: [urls] }
+    DELETE /api/cohorts/:id/videos/:video -> remove one video (ID or URL-encoded link)
+    GET  /api/cohorts/:id/report -> per-metric averages, score distribution, common improvements, leaderboard
+    POST /api/batches          -> queue evaluate-all for every row of a CSV / JSONL upload
+    GET  /api/batches          -> list batch jobs with progress
+    GET  /api/batches/:id      -> job progress and per-item status
+    POST /api/batches/:id/cancel -> cancel pending items of a job
+    GET  /api/batches/:id/results?format=csv|json -> combined results
+    GET  /api/admin/cache      -> response cache stats (ADMIN_TOKEN; closed in production without it)
+    DELETE /api/admin/cache    -> purge cached model responses (all, or by provider / model / age)
+
+  Metrics come from the rubric in rubric.json; evaluate-metric takes a metric id or name and
+  evaluate-all runs the metrics that apply to the request's videoType.
+  Prompts are built from the versioned templates in prompts/ (prompts.js): every evaluate route
+  takes an optional `promptVersion`, the persona follows the videoType, and the version used is
+  stored with the evaluation. The run itself (prompt, model calls, ids, evidence) is pipeline.js,
+  shared with the yt-eval CLI (cli.js). Request validation, transcript resolution, saving and
+  usage recording around it are evaluationService.js. Every route except the evaluate-all
+  stream and the batch routes is written once in apiRoutes.js and served by both this server
+  and the Lambda handler (amplify/functions/evaluator/index.js), so the two answer alike.
+
+  Evaluate responses: { ok, evaluationId, promptVersion, raw, parsed, validation_errors, attempts, cached, usage, language, transcript }
+  where `parsed` is always the canonical shape from evaluationSchema.js and `cached` says
+  whether the model replies came from the response cache (send `force: true` to bypass it).
+  `usage` totals the run's model calls: tokens and estimated cost from the price table (usage.js).
+  Every run's calls are also recorded for GET /api/usage; with DAILY_BUDGET_USD set, evaluations
+  are refused with 429 budget_exceeded once the day's recorded cost reaches it.
+  `feedbackLanguage` (en | hi | es | pt | auto, default FEEDBACK_LANGUAGE or en) sets the language
+  of feedback and suggestions; `language` reports it with the input language detected from the
+  transcript or form text (language.js). Metric names and ids stay the English rubric ones.
+  With `samples: N` (2-5, consistency mode) the evaluation runs N times; each metric then gets
+  the median score plus `consistency: { median, min, max, stddev, scores, lowConfidence }`
+  and the response a `samples` summary (see consistency.js).
+  Model failures answer with { error, code } and the status of the typed error (llmErrors.js),
+  e.g. 429 rate_limited / quota_exhausted, 422 safety_blocked, 504 timeout.
+
+  Both evaluate routes accept an optional `transcript` (+ `transcriptFormat`);
+  when omitted, the transcript stored for the video (if any) is used.
+  Every `url` input must be a YouTube video link (400 with code invalid_video_url otherwise)
+  and is stored in canonical form. URL-keyed video records and transcripts from older
+  versions are migrated to video IDs on start.
 
   Environment:
     GEMINI_API_KEY in .env
+    LLM_PROVIDER (gemini | openai | ollama | mock), LLM_MODEL, LLM_BASE_URL, ... (see llmClient.js)
+    Evaluate routes also take per-request `provider`, `model` and `generationConfig`.
+    STORAGE_BACKEND, STORAGE_DIR, SQLITE_PATH, DYNAMODB_TABLE, DYNAMODB_ENDPOINT (see storage.js)
+    LLM_PRICES_PATH (price table, default prices.json), DAILY_BUDGET_USD (see usage.js)
+    FEEDBACK_LANGUAGE (default feedbackLanguage, see language.js)
+    LAMBDA_EMULATION (v1 | v2): serve /api through the Lambda handler as API Gateway events
+      (`npm run dev:lambda`); LAMBDA_DATA_DIR moves its /tmp files (see the handler)
 
   Note: The Gemini HTTP endpoint used here is a configuration that may need
   to be adapted to your specific Google GenAI / Gemini account details.
 */
 
 import express from 'express';
-import fs from 'fs/promises';
 import path from 'path';
 import dotenv from 'dotenv';
 
 // Use native fetch in Node 18+. If your node version is older, install node-fetch.
 import { fileURLToPath } from 'url';
-import { callGemini } from './geminiClient.js';
+import { useResponseCache } from './llmClient.js';
+import { responseCacheFromEnv } from './responseCache.js';
+import { loadRubric } from './rubric.js';
+import { loadPromptTemplate } from './prompts.js';
+import { createBatchQueue, parseBatchInput, batchSummary } from './batchQueue.js';
+import { toCSV } from './csv.js';
+import { metricColumns } from './reports.js';
+import { migrateVideoStore } from './videos.js';
+import { storageFromEnv } from './storage.js';
+import { createEvaluationService, parseEvaluateRequest } from './evaluationService.js';
+import { createApiRoutes, runRoute } from './apiRoutes.js';
+import { PAYLOAD_VERSIONS, eventFromRequest, sendLambdaResult, sendLambdaError } from './apiGateway.js';
+import { defaultFeedbackLanguage } from './language.js';
+import { syncLambda } from './syncLambda.js';
 
 dotenv.config();
 
@@ -29,160 +116,220 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '..', 'public')));
-
-const VIDEO_DB = path.join(__dirname, 'videoDetails.json');
 
-// List of metrics (same labels used on frontend)
-export const METRICS = [
-  'Clarity of problem articulation',
-  'Purpose statement strength',
-  'Logical flow of explanation',
-  'Audience understanding level',
-  'Concept simplification quality',
-  'Technical accuracy of explanations',
-  'Confidence in voice delivery',
-  'Degree of passion conveyed',
-  'Pacing and speed of narration',
-  'Structural clarity of content',
-  'Visual organization without styling',
-  'Completeness of topic coverage',
-  'Engagement level of the explanation',
-  'Reasoning transparency',
-  'Justification of technical decisions',
-  'Clarity of transitions between topics',
-  'Interview-readiness of communication',
-  'Problem-solving mindset demonstration',
-  'Career-oriented presentation quality'
-];
-
-async function readVideoDB() {
-  try {
-    const raw = await fs.readFile(VIDEO_DB, 'utf-8');
-    return JSON.parse(raw);
-  } catch (err) {
-    if (err.code === 'ENOENT') return {};
-    throw err;
+// A bad FEEDBACK_LANGUAGE stops the server here instead of failing every evaluate request
+defaultFeedbackLanguage();
+
+// LAMBDA_EMULATION=v1|v2 answers every /api request through the Amplify function's handler
+// instead of the routes below: each request becomes the API Gateway REST (v1) or HTTP API (v2)
+// proxy event the deployed function would receive, and its result is sent back the way API
+// Gateway would (apiGateway.js). The UI and static files are still served from here. The
+// function's copies of the shared server modules are refreshed first (syncLambda.js).
+const LAMBDA_EMULATION = process.env.LAMBDA_EMULATION;
+if (LAMBDA_EMULATION) {
+  if (!PAYLOAD_VERSIONS.includes(LAMBDA_EMULATION)) {
+    throw new Error(`LAMBDA_EMULATION must be one of ${PAYLOAD_VERSIONS.join(', ')} (got "${LAMBDA_EMULATION}")`);
   }
+  const synced = await syncLambda();
+  if (synced.length) console.log(`Synced ${synced.length} file(s) into amplify/functions/evaluator`);
+  const { handler } = await import('../amplify/functions/evaluator/index.js');
+  app.use('/api', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+    try {
+      sendLambdaResult(res, await handler(eventFromRequest(req, LAMBDA_EMULATION)), LAMBDA_EMULATION);
+    } catch (err) {
+      console.error('Lambda handler threw', err);
+      sendLambdaError(res, LAMBDA_EMULATION);
+    }
+  });
 }
 
-async function writeVideoDB(db) {
-  await fs.writeFile(VIDEO_DB, JSON.stringify(db, null, 2), 'utf-8');
-}
-
-function constructPrompt(details, metricList) {
-  // details: { url, videoType, purpose, keyConcepts, justifications, goal, title }
-  // metricList: array of metric strings to evaluate
-
-  const header = `You are an expert reviewer for YouTube educational videos. Evaluate the following video and provide for each requested metric a numeric score from 1 (poor) to 10 (excellent) and a concise actionable feedback section with suggestions.`;
-
-  const videoInfo = `Video URL: ${details.url}\nTitle: ${details.title || 'Unknown Title'}\nVideo Type: ${details.videoType}\nPurpose: ${details.purpose}\nKey Concepts: ${details.keyConcepts}\nJustifications: ${details.justifications}\nEvaluation Goal: ${details.goal}`;
-
-  const metricsText = metricList.map((m, i) => `${i + 1}. ${m}`).join('\n');
-
-  // Ask Gemini to return JSON for easier parsing
-  const instruction = `Return a JSON object. For each metric include: { "metric": "<name>", "score": <1-10>, "feedback": "<actionable feedback>" } and at the end add a field "common_improvements" with an array of top 5 cross-metric suggestions. Output only valid JSON.`;
+// Transcripts are sent inline as text, so allow larger bodies than the 100kb default
+app.use(express.json({ limit: '5mb' }));
+// Batch files can also be posted raw (curl --data-binary @videos.csv -H 'Content-Type: text/csv')
+app.use(express.text({ type: ['text/csv', 'application/jsonl', 'application/x-ndjson'], limit: '5mb' }));
+// A body that isn't JSON gets the same 400 as in the Lambda (apiGateway.js jsonBody)
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json({ error: `Request body is not valid JSON: ${err.message}`, code: 'invalid_json' });
+});
+app.use(express.static(path.join(__dirname, '..', 'public')));
 
-  const prompt = [header, videoInfo, 'Metrics to evaluate:', metricsText, instruction].join('\n\n');
-  return prompt;
+const VIDEO_DB = path.join(__dirname, 'videoDetails.json');
+const TRANSCRIPT_DB = path.join(__dirname, 'transcripts.json');
+const EVALUATION_DB = path.join(__dirname, 'evaluations.json');
+const BATCH_DB = path.join(__dirname, 'batches.json');
+const RESPONSE_CACHE_FILE = path.join(__dirname, 'responseCache.json');
+
+// Identical model calls are answered from disk (see responseCache.js)
+const responseCache = responseCacheFromEnv(RESPONSE_CACHE_FILE);
+useResponseCache(responseCache);
+
+// Video records, transcripts and evaluation history go through the configured storage
+// backend (storage.js: file by default, or sqlite / dynamodb); the file backend keeps the
+// same JSON files in this directory as before
+const store = await storageFromEnv({ dir: __dirname });
+
+// Transcript resolution, the evaluation run, history and usage recording are shared with the
+// Lambda handler (evaluationService.js)
+const evaluationService = createEvaluationService({ getStore: async () => store });
+
+// Every route the Lambda also serves (apiRoutes.js), registered under /api
+for (const route of createApiRoutes({ getStore: async () => store, evaluationService, responseCache, linkBase: '/api' })) {
+  app[route.method.toLowerCase()](`/api${route.path}`, async (req, res) => {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const result = await runRoute(route, { method: req.method, path: req.path, params: req.params, query: req.query, headers: req.headers, body });
+    res.status(result.statusCode).set(result.headers).send(result.body);
+  });
 }
 
-// callGemini is imported from server/geminiClient.js which attempts to use the
-// official Google GenAI SDK if installed, and falls back to the REST endpoint.
-
-// Helper: parse response that is JSON or JSON-like
-function tryParseJSON(text) {
+// Same evaluation as /api/evaluate-all, sent as Server-Sent Events while it runs:
+//   start   { total, metrics: [{ id, name }] }
+//   metrics { index, ok, error, metrics: [...], completed, total }   one per finished group
+//   result  the full evaluate-all response (saved to history like any other run)
+//   error   { error, code, status }
+// Closing the connection aborts the upstream model calls.
+app.post('/api/evaluate-all/stream', async (req, res) => {
+  let request;
   try {
-    return JSON.parse(text);
+    request = await parseEvaluateRequest(req.body, 'all');
   } catch (err) {
-    // Attempt to extract JSON substring
-    const start = text.indexOf('{');
-    const end = text.lastIndexOf('}');
-    if (start !== -1 && end !== -1 && end > start) {
-      const substr = text.slice(start, end + 1);
-      try { return JSON.parse(substr); } catch (e) { /* ignore */ }
-    }
-    return null;
+    if (!err.status) console.error(err);
+    return res.status(err.status || 500).json({ error: err.message, code: err.code });
   }
-}
 
-app.get('/api/video-title', async (req, res) => {
-  const url = req.query.url;
-  if (!url) return res.status(400).json({ error: 'Missing url parameter' });
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
   try {
-    const db = await readVideoDB();
-    const title = db[url] || null;
-    res.json({ url, title });
+    const { metrics } = request;
+    send('start', { total: metrics.length, metrics: metrics.map(m => ({ id: m.id, name: m.name })) });
+
+    let completed = 0;
+    const onGroup = (group) => {
+      completed += group.metrics.length;
+      send('metrics', { ...group, completed, total: metrics.length });
+    };
+    const result = await evaluationService.evaluate(request, { endpoint: 'evaluate-all/stream', signal: controller.signal, onGroup });
+    send('result', result);
   } catch (err) {
+    if (controller.signal.aborted) return; // client went away; nothing left to send
     console.error(err);
-    res.status(500).json({ error: 'Failed to read video DB' });
+    send('error', { error: err.message || 'Evaluation failed', code: err.code, status: err.status || 500 });
   }
+  res.end();
 });
 
-app.post('/api/video-title', async (req, res) => {
-  const { url, title } = req.body;
-  if (!url || !title) return res.status(400).json({ error: 'url and title required' });
+// Batch jobs: each item is a full evaluate-all run saved to evaluation history like any other
+async function runBatchItem(input, options) {
+  const { provider, model, generationConfig, force, promptVersion } = options;
+  const request = await parseEvaluateRequest({
+    ...input, provider, model, generationConfig, force, promptVersion,
+    feedbackLanguage: input.feedbackLanguage || options.feedbackLanguage
+  }, 'all');
+  const result = await evaluationService.evaluate(request, { endpoint: 'batch' });
+  return {
+    evaluationId: result.evaluationId,
+    overall: result.summary.overall,
+    grade: result.summary.grade || null,
+    partial: Boolean(result.partial),
+    cached: result.cached,
+    scores: Object.fromEntries(result.parsed.metrics.map(m => [m.id, m.score]))
+  };
+}
+
+const batchQueue = createBatchQueue({
+  file: BATCH_DB,
+  runItem: runBatchItem,
+  concurrency: Number(process.env.BATCH_CONCURRENCY) || 2,
+  maxRetries: process.env.BATCH_MAX_RETRIES !== undefined ? Number(process.env.BATCH_MAX_RETRIES) : 2
+});
+
+const BATCH_CONTENT_TYPES = { 'text/csv': 'csv', 'application/jsonl': 'jsonl', 'application/x-ndjson': 'jsonl' };
+
+app.post('/api/batches', async (req, res) => {
   try {
-    const db = await readVideoDB();
-    db[url] = title;
-    await writeVideoDB(db);
-    res.json({ ok: true, url, title });
+    // JSON body { content, format, options } or a raw CSV / JSONL body with options in the query string
+    let content;
+    let format;
+    let options;
+    if (typeof req.body === 'string') {
+      content = req.body;
+      format = BATCH_CONTENT_TYPES[req.get('content-type')?.split(';')[0].trim()];
+      const { concurrency, maxRetries, provider, model, force, promptVersion, feedbackLanguage } = req.query;
+      options = { concurrency, maxRetries, provider, model, force: force === 'true', promptVersion, feedbackLanguage };
+    } else {
+      ({ content, format, options = {} } = req.body);
+    }
+    const inputs = parseBatchInput(content, format);
+    if (options.promptVersion) await loadPromptTemplate(options.promptVersion); // 400 now rather than per item
+    const job = await batchQueue.createBatch(inputs, options);
+    res.status(202).json(batchSummary(job));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Failed to write video DB' });
+    res.status(err.status || 500).json({ error: err.message || 'Failed to create batch', code: err.code });
   }
 });
 
-app.post('/api/evaluate-metric', async (req, res) => {
-  try {
-    const { url, videoType, purpose, keyConcepts, justifications, goal, metric } = req.body;
-    if (!url || !metric) return res.status(400).json({ error: 'Missing url or metric' });
-
-    const db = await readVideoDB();
-    const title = db[url] || 'Unknown Title';
-
-    const details = { url, videoType, purpose, keyConcepts, justifications, goal, title };
-
-    const prompt = constructPrompt(details, [metric]);
-    const raw = await callGemini(prompt);
+app.get('/api/batches', (req, res) => {
+  res.json({ batches: batchQueue.listBatches() });
+});
 
-    // Attempt to parse JSON; fallback to text
-    const parsed = tryParseJSON(raw);
-    if (parsed) {
-      // If parsed is object or array, try to return structured result for the single metric
-      return res.json({ ok: true, raw, parsed });
-    }
+app.get('/api/batches/:id', (req, res) => {
+  const job = batchQueue.getBatch(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Batch not found' });
+  res.json({
+    ...batchSummary(job),
+    items: job.items.map(i => ({
+      index: i.index, url: i.input.url, videoType: i.input.videoType, status: i.status,
+      attempts: i.attempts, error: i.error, errorCode: i.errorCode ?? null, evaluationId: i.result?.evaluationId ?? null, overall: i.result?.overall ?? null
+    }))
+  });
+});
 
-    // If we couldn't parse, return the raw text as feedback
-    res.json({ ok: true, raw });
+app.post('/api/batches/:id/cancel', async (req, res) => {
+  try {
+    const job = await batchQueue.cancelBatch(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Batch not found' });
+    res.json(batchSummary(job));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message || 'Evaluation failed' });
+    res.status(500).json({ error: 'Failed to cancel batch' });
   }
 });
 
-app.post('/api/evaluate-all', async (req, res) => {
-  try {
-    const { url, videoType, purpose, keyConcepts, justifications, goal } = req.body;
-    if (!url) return res.status(400).json({ error: 'Missing url' });
-
-    const db = await readVideoDB();
-    const title = db[url] || 'Unknown Title';
+app.get('/api/batches/:id/results', async (req, res) => {
+  const job = batchQueue.getBatch(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Batch not found' });
+  const format = req.query.format || 'json';
+  const items = job.items.map(i => ({ index: i.index, input: i.input, status: i.status, attempts: i.attempts, error: i.error, result: i.result }));
 
-    const details = { url, videoType, purpose, keyConcepts, justifications, goal, title };
+  if (format === 'json') return res.json({ batch: batchSummary(job), items });
+  if (format !== 'csv') return res.status(400).json({ error: 'format must be csv or json' });
 
-    const prompt = constructPrompt(details, METRICS);
-    const raw = await callGemini(prompt);
-    const parsed = tryParseJSON(raw);
-    if (parsed) {
-      return res.json({ ok: true, raw, parsed });
-    }
-    // If not JSON, return textual output
-    res.json({ ok: true, raw });
+  try {
+    // One row per video, one column per metric id (rubric order, then anything else seen)
+    const rubric = await loadRubric();
+    const metricIds = metricColumns(rubric, items.flatMap(i => Object.keys(i.result?.scores || {})));
+    const columns = ['url', 'videoType', 'status', 'evaluationId', 'overall', 'grade', ...metricIds, 'error'];
+    const rows = items.map(i => ({
+      url: i.input.url,
+      videoType: i.input.videoType,
+      status: i.status,
+      evaluationId: i.result?.evaluationId,
+      overall: i.result?.overall,
+      // Same label as evaluationsToCSV; batches saved before grade was an object stored the band id
+      grade: i.result?.grade?.label ?? i.result?.grade,
+      ...(i.result?.scores || {}),
+      error: i.error
+    }));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="batch-${job.id}.csv"`);
+    res.send(toCSV(columns, rows));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message || 'Evaluation failed' });
+    res.status(500).json({ error: err.message || 'Failed to build CSV' });
   }
 });
 
@@ -191,5 +338,12 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
 });
 
+// Before accepting requests, so nothing reads a half-migrated store
+await migrateVideoStore(store).catch(err => console.error('Failed to migrate URL-keyed stores', err));
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  // Resume batch jobs interrupted by a restart
+  batchQueue.start().catch(err => console.error('Failed to start batch queue', err));
+});
@@ -0,0 +1,102 @@
+/*
+  SQLite storage backend (see storage.js for the interface).
+  One table per collection: (key TEXT PRIMARY KEY, value TEXT, updated_at TEXT),
+  with values stored as JSON. better-sqlite3 is synchronous, so each call
+  (including update's read-modify-write, run in a transaction) is atomic
+  within the process; WAL mode and a busy timeout let a second process (the
+  migration command) use the same file.
+
+  Requires the optional dependency: npm install better-sqlite3
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { COLLECTIONS, checkCollection } from './storage.js';
+
+async function loadDriver() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (err) {
+    throw new Error('The sqlite storage backend needs better-sqlite3 (npm install better-sqlite3)', { cause: err });
+  }
+}
+
+/**
+ * @param {{ file: string }} options database file; created when missing
+ */
+export async function createSqliteStore({ file }) {
+  const Database = await loadDriver();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  // Table names come from the fixed COLLECTIONS list, never from input
+  const statements = {};
+  for (const collection of COLLECTIONS) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+    statements[collection] = {
+      get: db.prepare(`SELECT value FROM ${collection} WHERE key = ?`),
+      put: db.prepare(`INSERT INTO ${collection} (key, value, updated_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+      delete: db.prepare(`DELETE FROM ${collection} WHERE key = ?`),
+      all: db.prepare(`SELECT key, value FROM ${collection}`)
+    };
+  }
+  const sql = (collection) => {
+    checkCollection(collection);
+    return statements[collection];
+  };
+
+  const read = (collection, key) => {
+    const row = sql(collection).get.get(key);
+    return row ? JSON.parse(row.value) : null;
+  };
+  const write = (collection, key, value) => sql(collection).put.run(key, JSON.stringify(value), new Date().toISOString());
+
+  // better-sqlite3 transactions can't span an await, so updates are also queued per process
+  let queue = Promise.resolve();
+
+  return {
+    backend: 'sqlite',
+
+    async get(collection, key) {
+      return read(collection, key);
+    },
+
+    async put(collection, key, value) {
+      write(collection, key, value);
+    },
+
+    async delete(collection, key) {
+      return sql(collection).delete.run(key).changes > 0;
+    },
+
+    update(collection, key, mutate) {
+      const run = queue.then(async () => {
+        const current = read(collection, key);
+        const value = await mutate(current);
+        if (value === undefined) return current;
+        // Re-check inside a transaction so a change from another process isn't overwritten silently
+        db.transaction(() => {
+          const latest = sql(collection).get.get(key);
+          if ((latest ? latest.value : null) !== (current === null ? null : JSON.stringify(current))) {
+            throw new Error(`${collection}/${key} changed during update; try again`);
+          }
+          write(collection, key, value);
+        })();
+        return value;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    async all(collection) {
+      return Object.fromEntries(sql(collection).all.all().map(row => [row.key, JSON.parse(row.value)]));
+    },
+
+    async close() {
+      await queue;
+      db.close();
+    }
+  };
+}
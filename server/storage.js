@@ -0,0 +1,107 @@
+/*
+  Storage layer for video records, transcripts, evaluation history,
+  cohorts and token usage.
+  Every backend exposes the same small key-value interface, one namespace
+  ("collection") per kind of record:
+
+    get(collection, key)            -> value or null
+    put(collection, key, value)
+    delete(collection, key)         -> whether it existed
+    update(collection, key, mutate) -> atomic read-modify-write of one record;
+                                       mutate(current|null) returns the new value,
+                                       or undefined to leave it unchanged
+    all(collection)                 -> { key: value } for the whole collection
+    close()
+
+  Backends:
+    file      one JSON file per collection, written atomically under a lock
+              file so concurrent requests and processes can't lose updates
+              (fileStore.js)
+    sqlite    one table per collection in a SQLite database (sqliteStore.js,
+              needs the optional better-sqlite3 package)
+    dynamodb  one DynamoDB table keyed by (collection, key); works with
+              DynamoDB Local through DYNAMODB_ENDPOINT (dynamoStore.js, needs
+              the optional @aws-sdk/client-dynamodb and @aws-sdk/lib-dynamodb)
+
+  Config (storageFromEnv): STORAGE_BACKEND (file | sqlite | dynamodb, default
+  file), STORAGE_DIR, SQLITE_PATH, DYNAMODB_TABLE, DYNAMODB_ENDPOINT,
+  DYNAMODB_CREATE_TABLE, AWS_REGION. migrateStorage.js copies data between
+  backends.
+*/
+
+import path from 'path';
+
+export const COLLECTIONS = ['videos', 'transcripts', 'evaluations', 'cohorts', 'usage'];
+export const STORAGE_BACKENDS = ['file', 'sqlite', 'dynamodb'];
+
+// File names the file backend has always used, so existing data is picked up as-is
+export const COLLECTION_FILES = {
+  videos: 'videoDetails.json',
+  transcripts: 'transcripts.json',
+  evaluations: 'evaluations.json',
+  cohorts: 'cohorts.json',
+  usage: 'usage.json'
+};
+
+export const DEFAULT_DYNAMODB_TABLE = 'yt-explainer-evaluator';
+
+export function checkCollection(collection) {
+  if (!COLLECTIONS.includes(collection)) throw new Error(`Unknown storage collection "${collection}"`);
+}
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'storage_config';
+  return err;
+}
+
+/**
+ * @param {object} config
+ * @param {'file'|'sqlite'|'dynamodb'} config.backend
+ * @param {string} [config.dir] file backend: directory holding the JSON files
+ * @param {object} [config.seedFiles] file backend: collection -> read-only file used until the collection is first written
+ * @param {string} [config.sqlitePath] sqlite backend: database file
+ * @param {string} [config.table] dynamodb backend: table name
+ * @param {string} [config.endpoint] dynamodb backend: e.g. http://localhost:8000 for DynamoDB Local
+ * @param {string} [config.region]
+ * @param {boolean} [config.createTable] dynamodb backend: create the table when it is missing
+ */
+export async function createStore(config) {
+  switch (config.backend) {
+    case 'file': {
+      const { createFileStore } = await import('./fileStore.js');
+      return createFileStore({ dir: config.dir, seedFiles: config.seedFiles });
+    }
+    case 'sqlite': {
+      const { createSqliteStore } = await import('./sqliteStore.js');
+      return createSqliteStore({ file: config.sqlitePath });
+    }
+    case 'dynamodb': {
+      const { createDynamoStore } = await import('./dynamoStore.js');
+      return createDynamoStore({ table: config.table, endpoint: config.endpoint, region: config.region, createTable: config.createTable });
+    }
+    default:
+      throw configError(`Unknown STORAGE_BACKEND "${config.backend}" (use ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+/**
+ * Store configuration from the environment.
+ * @param {{ dir: string, seedFiles?: object }} defaults where the file and sqlite backends keep data by default
+ */
+export function storageConfigFromEnv({ dir, seedFiles } = {}) {
+  const env = process.env;
+  const storageDir = env.STORAGE_DIR || dir;
+  return {
+    backend: env.STORAGE_BACKEND || 'file',
+    dir: storageDir,
+    seedFiles,
+    sqlitePath: env.SQLITE_PATH || path.join(storageDir, 'evaluator.sqlite'),
+    table: env.DYNAMODB_TABLE || DEFAULT_DYNAMODB_TABLE,
+    endpoint: env.DYNAMODB_ENDPOINT || undefined,
+    region: env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1',
+    createTable: env.DYNAMODB_CREATE_TABLE === 'true'
+  };
+}
+
+export const storageFromEnv = (defaults) => createStore(storageConfigFromEnv(defaults));
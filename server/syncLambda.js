@@ -0,0 +1,112 @@
+/*
+  Copy the server modules the Lambda handler uses into the Amplify function.
+
+    npm run sync:lambda     copy them (also run by `amplify push`, dev:lambda and LAMBDA_EMULATION)
+    npm run check:lambda    exit 1 when a copy is missing or differs from server/
+
+  server/ is the only source: amplify/functions/evaluator/ keeps just its own
+  index.js, package.json and the bundled videoDetails.json seed, and ignores
+  the synced files (its .gitignore). The modules to copy are found by
+  following the relative imports of index.js through server/, so a new
+  shared module needs no list to be kept up to date. The rubric, price table
+  and prompt templates are copied with them; the server's videoDetails.json
+  is not, since the file store writes local data into it.
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const LAMBDA_DIR = path.join(SERVER_DIR, '..', 'amplify', 'functions', 'evaluator');
+const ENTRY = 'index.js';
+const DATA_FILES = ['rubric.json', 'prices.json'];
+const DATA_DIRS = ['prompts'];
+
+// Static `from './x.js'` and dynamic `import('./x.js')` specifiers
+const RELATIVE_IMPORT = /(?:\bfrom\s*|\bimport\s*\(\s*)['"](\.\/[\w./-]+\.js)['"]/g;
+
+const importsOf = (source) => [...source.matchAll(RELATIVE_IMPORT)].map(m => path.normalize(m[1]));
+
+// Server modules reachable from the handler, as paths relative to server/
+async function sharedModules() {
+  const found = new Set();
+  const queue = importsOf(await fs.readFile(path.join(LAMBDA_DIR, ENTRY), 'utf8'));
+  while (queue.length) {
+    const file = queue.shift();
+    if (found.has(file)) continue;
+    let source;
+    try {
+      source = await fs.readFile(path.join(SERVER_DIR, file), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error(`${ENTRY} imports ./${file}, which is not in server/`);
+      throw err;
+    }
+    found.add(file);
+    queue.push(...importsOf(source));
+  }
+  return [...found];
+}
+
+async function dataFiles() {
+  const nested = await Promise.all(DATA_DIRS.map(async dir => (await fs.readdir(path.join(SERVER_DIR, dir))).map(name => path.join(dir, name))));
+  return [...DATA_FILES, ...nested.flat()];
+}
+
+/** Every file copied from server/ into the function, relative paths, sorted */
+export async function lambdaFiles() {
+  return [...await sharedModules(), ...await dataFiles()].sort();
+}
+
+async function readOrNull(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/** Files whose copy in the function is missing or differs from server/ */
+export async function staleFiles() {
+  const stale = [];
+  for (const file of await lambdaFiles()) {
+    const [source, copy] = await Promise.all([fs.readFile(path.join(SERVER_DIR, file)), readOrNull(path.join(LAMBDA_DIR, file))]);
+    if (!copy || !source.equals(copy)) stale.push(file);
+  }
+  return stale;
+}
+
+/** Copy the stale files; returns the paths written */
+export async function syncLambda() {
+  const stale = await staleFiles();
+  for (const file of stale) {
+    await fs.mkdir(path.dirname(path.join(LAMBDA_DIR, file)), { recursive: true });
+    await fs.copyFile(path.join(SERVER_DIR, file), path.join(LAMBDA_DIR, file));
+  }
+  return stale;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some(a => a !== '--check')) throw new Error('Usage: node server/syncLambda.js [--check]');
+  if (args.includes('--check')) {
+    const stale = await staleFiles();
+    if (stale.length) {
+      console.error(`Out of date in amplify/functions/evaluator (run npm run sync:lambda):\n  ${stale.join('\n  ')}`);
+      process.exitCode = 1;
+    } else {
+      console.log('amplify/functions/evaluator is in sync with server/');
+    }
+    return;
+  }
+  const written = await syncLambda();
+  console.log(written.length ? `Copied to amplify/functions/evaluator:\n  ${written.join('\n  ')}` : 'amplify/functions/evaluator is already in sync');
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,244 @@
+/*
+  Transcript parsing and pacing analysis.
+  - Accepts SRT, WebVTT or plain text (optionally with "m:ss" timestamps as
+    copied from YouTube's "Show transcript" panel)
+  - Produces timed segments: [{ start, end, text }] with times in seconds
+    (start/end are null when the source has no timings)
+  - Computes pacing facts (words per minute, long silences) that are given
+    to the model as ground truth instead of letting it guess
+*/
+
+// Gaps between consecutive segments longer than this are reported as silences
+export const LONG_PAUSE_SECONDS = 3;
+
+// Keep the transcript section of the prompt bounded
+const MAX_PROMPT_TRANSCRIPT_CHARS = 12000;
+
+const TIMESTAMP_RE = /(\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?/;
+const CUE_TIMING_RE = new RegExp(`^\\s*(${TIMESTAMP_RE.source})\\s*-->\\s*(${TIMESTAMP_RE.source})`);
+const LEADING_TIMESTAMP_RE = new RegExp(`^\\s*\\[?(${TIMESTAMP_RE.source})\\]?\\s*(.*)$`);
+
+// "01:02:03,450" / "02:03.450" / "2:03" -> seconds
+export function parseTimestamp(value) {
+  const [clock, fraction = '0'] = String(value).trim().replace(',', '.').split('.');
+  const parts = clock.split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  const seconds = parts.reduce((acc, p) => acc * 60 + p, 0);
+  return seconds + Number(`0.${fraction}`);
+}
+
+// seconds -> "mm:ss" (or "h:mm:ss" for long videos)
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+export function detectTranscriptFormat(text) {
+  const trimmed = text.trimStart();
+  if (/^WEBVTT/.test(trimmed)) return 'vtt';
+  if (CUE_TIMING_RE.test(trimmed.split(/\r?\n/).slice(0, 3).find(l => l.includes('-->')) || '')) return 'srt';
+  return 'text';
+}
+
+function cleanCueText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '') // VTT voice/styling tags
+    .replace(/\{\\[^}]*\}/g, '') // SRT ASS-style tags
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Shared SRT/VTT cue parser: both formats are blank-line separated blocks with a "-->" timing line
+function parseCues(text) {
+  const segments = [];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIdx = lines.findIndex(l => l.includes('-->'));
+    if (timingIdx === -1) continue; // header, NOTE, STYLE or stray text
+    const match = lines[timingIdx].match(CUE_TIMING_RE);
+    if (!match) continue;
+    const cueText = cleanCueText(lines.slice(timingIdx + 1));
+    if (!cueText) continue;
+    segments.push({ start: parseTimestamp(match[1]), end: parseTimestamp(match[3]), text: cueText });
+  }
+  return segments;
+}
+
+function parsePlainText(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map(l => l.trim()).filter(Boolean);
+  const timed = [];
+  let current = null;
+  for (const line of lines) {
+    const match = line.match(LEADING_TIMESTAMP_RE);
+    if (match) {
+      current = { start: parseTimestamp(match[1]), end: null, text: match[3] || '' };
+      timed.push(current);
+    } else if (current) {
+      current.text = current.text ? `${current.text} ${line}` : line;
+    } else {
+      break; // text before any timestamp: treat the whole thing as untimed
+    }
+  }
+
+  if (timed.length && timed.length * 3 >= lines.length) {
+    // Each segment ends where the next one starts; the last one has no known end
+    timed.forEach((seg, i) => { seg.end = timed[i + 1] ? timed[i + 1].start : null; });
+    return timed.filter(seg => seg.text);
+  }
+
+  // Untimed: one segment per paragraph
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(p => ({ start: null, end: null, text: p }));
+}
+
+/**
+ * Parse a transcript into timed segments.
+ * @param {string} text raw transcript
+ * @param {string} [format] 'srt' | 'vtt' | 'text'; detected when omitted
+ * @returns {{ format: string, segments: Array<{start: number|null, end: number|null, text: string}> }}
+ */
+export function parseTranscript(text, format) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('Transcript is empty');
+  const fmt = format || detectTranscriptFormat(text);
+  if (!['srt', 'vtt', 'text'].includes(fmt)) throw new Error(`Unsupported transcript format: ${fmt}`);
+  const segments = fmt === 'text' ? parsePlainText(text) : parseCues(text);
+  if (!segments.length) throw new Error(`No transcript segments found in ${fmt} input`);
+  return { format: fmt, segments };
+}
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+/**
+ * Compute pacing facts from timed segments. Timing-based fields are null
+ * when the transcript has no timings.
+ */
+export function computePacingStats(segments) {
+  const wordCount = segments.reduce((acc, s) => acc + countWords(s.text), 0);
+  const timed = segments.filter(s => s.start != null);
+  if (!timed.length) {
+    return { wordCount, durationSeconds: null, wordsPerMinute: null, speakingWordsPerMinute: null, longPauses: [] };
+  }
+
+  const first = timed[0].start;
+  const last = timed[timed.length - 1];
+  const durationSeconds = Math.max(0, (last.end ?? last.start) - first);
+
+  // Time actually spent speaking (cue durations); only meaningful when cues have explicit ends
+  const spoken = timed.reduce((acc, s) => acc + (s.end != null ? Math.max(0, s.end - s.start) : 0), 0);
+
+  const longPauses = [];
+  for (let i = 1; i < timed.length; i++) {
+    const prevEnd = timed[i - 1].end;
+    if (prevEnd == null) continue;
+    const gap = timed[i].start - prevEnd;
+    if (gap >= LONG_PAUSE_SECONDS) {
+      longPauses.push({ start: prevEnd, end: timed[i].start, duration: Math.round(gap * 10) / 10 });
+    }
+  }
+
+  const perMinute = (seconds) => (seconds > 0 ? Math.round((wordCount / seconds) * 60) : null);
+  return {
+    wordCount,
+    durationSeconds: Math.round(durationSeconds),
+    wordsPerMinute: perMinute(durationSeconds),
+    speakingWordsPerMinute: perMinute(spoken),
+    longPauses
+  };
+}
+
+// Render segments as "[mm:ss] text" lines, trimmed to the prompt budget
+export function transcriptToPromptText(segments, maxChars = MAX_PROMPT_TRANSCRIPT_CHARS) {
+  let out = '';
+  for (const seg of segments) {
+    const line = (seg.start != null ? `[${formatTimestamp(seg.start)}] ` : '') + seg.text + '\n';
+    if (out.length + line.length > maxChars) return `${out}[... transcript truncated ...]`;
+    out += line;
+  }
+  return out.trimEnd();
+}
+
+export function pacingToPromptText(stats) {
+  const lines = [`Word count: ${stats.wordCount}`];
+  if (stats.durationSeconds != null) {
+    lines.push(`Transcript duration: ${formatTimestamp(stats.durationSeconds)}`);
+    lines.push(`Average pace: ${stats.wordsPerMinute ?? 'n/a'} words per minute`);
+    if (stats.speakingWordsPerMinute != null) {
+      lines.push(`Pace while speaking: ${stats.speakingWordsPerMinute} words per minute`);
+    }
+    lines.push(stats.longPauses.length
+      ? `Silences of ${LONG_PAUSE_SECONDS}s or more: ${stats.longPauses.map(p => `${formatTimestamp(p.start)}–${formatTimestamp(p.end)} (${p.duration}s)`).join(', ')}`
+      : `Silences of ${LONG_PAUSE_SECONDS}s or more: none`);
+  } else {
+    lines.push('No timings available: pacing cannot be measured from this transcript.');
+  }
+  return lines.join('\n');
+}
+
+const normalizeForMatch = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+// Accepts seconds or "mm:ss" / "h:mm:ss" strings as returned by the model
+function toSeconds(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && value.trim()) {
+    return /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : parseTimestamp(value);
+  }
+  return null;
+}
+
+/**
+ * Check model-cited evidence against the stored transcript segments.
+ * - Quotes found in the transcript are snapped to the segment(s) they occur in
+ *   and marked `verified: true`
+ * - Citations whose quote can't be found but whose time range lies inside
+ *   the transcript are kept with `verified: false`
+ * - Anything else (no usable times, outside the transcript) is dropped
+ * @returns {Array<{start: number, end: number, quote: string, verified: boolean}>}
+ */
+export function verifyEvidence(evidence, segments) {
+  if (!Array.isArray(evidence)) return [];
+  const timed = segments.filter(s => s.start != null);
+  if (!timed.length) return [];
+  const last = timed[timed.length - 1];
+  const transcriptEnd = last.end ?? last.start;
+  const normalized = timed.map(s => normalizeForMatch(s.text));
+
+  const out = [];
+  for (const item of evidence) {
+    if (!item || typeof item !== 'object') continue;
+    const quote = typeof item.quote === 'string' ? item.quote.trim() : '';
+    let start = toSeconds(item.start);
+    let end = toSeconds(item.end);
+    if (end == null || (start != null && end < start)) end = start;
+
+    // Look for the quote in a single segment, then across a pair of neighbours
+    const needle = normalizeForMatch(quote);
+    let hit = null;
+    if (needle) {
+      const idx = normalized.findIndex(t => t.includes(needle));
+      if (idx !== -1) hit = [idx, idx];
+      else {
+        const pairIdx = normalized.findIndex((t, i) => i + 1 < normalized.length && `${t} ${normalized[i + 1]}`.includes(needle));
+        if (pairIdx !== -1) hit = [pairIdx, pairIdx + 1];
+      }
+    }
+
+    if (hit) {
+      start = timed[hit[0]].start;
+      end = timed[hit[1]].end ?? timed[hit[1]].start;
+      out.push({ start, end, quote, verified: true });
+    } else if (start != null && start >= 0 && start <= transcriptEnd) {
+      out.push({ start, end: Math.min(end, transcriptEnd), quote, verified: false });
+    }
+  }
+  return out;
+}
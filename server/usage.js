@@ -0,0 +1,217 @@
+/*
+  Token usage and cost accounting.
+  - callLLM (llmClient.js) reports each call's prompt and output token counts:
+    from the provider (Gemini usageMetadata, OpenAI-compatible `usage`), or
+    estimated at ~4 characters per token when it reports none (mock, some
+    local servers). Answers from the response cache count as cached calls
+    with no tokens and no cost.
+  - Prices come from prices.json next to this file (LLM_PRICES_PATH
+    overrides), in USD per million tokens. Keys are "provider/model" or
+    "provider/*"; a model with no price gets a null cost and is listed under
+    `unpriced`. Like the rubric it is re-read on every evaluation.
+  - A usage meter collects the calls of one evaluation (passed to callLLM as
+    { meter }); the caller stores usageEntry(...) in the `usage` collection,
+    even when the evaluation fails, since the completed calls were billed.
+  - usageReport totals stored entries by day (UTC), endpoint, model and video.
+  - DAILY_BUDGET_USD caps the recorded cost per UTC day: once it is reached,
+    checkBudget refuses new evaluations with 429 budget_exceeded. Evaluations
+    already running are finished, so the cap can be overshot by them.
+  Storage itself is left to the caller (server.js / Lambda handler / cli.js).
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PRICES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'prices.json');
+const DEFAULT_REPORT_DAYS = 30;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+// Throws with every problem listed so a bad edit is easy to fix
+export function validatePrices(prices) {
+  if (!prices || typeof prices !== 'object' || !prices.models || typeof prices.models !== 'object') {
+    throw new Error('Price table must be a JSON object with a "models" object');
+  }
+  const errors = Object.entries(prices.models)
+    .filter(([, p]) => !p || !(p.input >= 0) || !(p.output >= 0))
+    .map(([key]) => `models["${key}"] needs non-negative numeric "input" and "output" prices`);
+  if (errors.length) throw new Error(`Invalid price table:\n- ${errors.join('\n- ')}`);
+  return prices;
+}
+
+export async function loadPrices(file = process.env.LLM_PRICES_PATH || DEFAULT_PRICES_PATH) {
+  const raw = await fs.readFile(file, 'utf-8');
+  return validatePrices(JSON.parse(raw));
+}
+
+// USD per million tokens for one model, or null when the table has no entry for it
+export function priceFor(prices, provider, model) {
+  return prices.models[`${provider}/${model}`] || prices.models[`${provider}/*`] || null;
+}
+
+/**
+ * Collects the calls of one evaluation and prices them.
+ * @param {object} prices from loadPrices
+ * @returns {{ calls: object[], add: (call: object) => void }} `add` takes callLLM's
+ *   { provider, model, promptTokens, outputTokens, estimated, cached }
+ */
+export function createUsageMeter(prices) {
+  const calls = [];
+  return {
+    calls,
+    add({ provider, model, promptTokens, outputTokens, estimated = false, cached = false }) {
+      const price = priceFor(prices, provider, model);
+      const costUsd = cached ? 0 : price ? round6((promptTokens * price.input + outputTokens * price.output) / 1e6) : null;
+      calls.push({ at: new Date().toISOString(), provider, model, promptTokens, outputTokens, costUsd, estimated, cached });
+    }
+  };
+}
+
+/**
+ * Totals for a list of priced calls.
+ * @returns {{ calls: number, cachedCalls: number, promptTokens: number, outputTokens: number,
+ *   totalTokens: number, costUsd: number, estimated: boolean, unpriced: string[] }}
+ *   `estimated` is true when any token count was estimated; `costUsd` leaves out unpriced calls
+ */
+export function summarizeUsage(calls) {
+  const promptTokens = calls.reduce((acc, c) => acc + c.promptTokens, 0);
+  const outputTokens = calls.reduce((acc, c) => acc + c.outputTokens, 0);
+  return {
+    calls: calls.length,
+    cachedCalls: calls.filter(c => c.cached).length,
+    promptTokens,
+    outputTokens,
+    totalTokens: promptTokens + outputTokens,
+    costUsd: round6(calls.reduce((acc, c) => acc + (c.costUsd || 0), 0)),
+    estimated: calls.some(c => c.estimated),
+    unpriced: [...new Set(calls.filter(c => c.costUsd == null).map(c => `${c.provider}/${c.model}`))]
+  };
+}
+
+const dayOf = (iso) => iso.slice(0, 10);
+const today = () => dayOf(new Date().toISOString());
+
+/**
+ * Stored record for the calls made by one evaluate request.
+ * @param {{ endpoint: string, videoId?: string|null, evaluationId?: string|null, calls: object[] }} run
+ *   `evaluationId` is null when the evaluation failed or was cancelled after some calls
+ */
+export function usageEntry({ endpoint, videoId = null, evaluationId = null, calls }) {
+  const at = new Date().toISOString();
+  return { id: crypto.randomUUID(), at, day: dayOf(at), endpoint, videoId, evaluationId, calls };
+}
+
+// DAILY_BUDGET_USD as a number, or null when no cap is set
+export function dailyBudget() {
+  const value = process.env.DAILY_BUDGET_USD;
+  if (value === undefined || value === '') return null;
+  const budget = Number(value);
+  return Number.isFinite(budget) && budget >= 0 ? budget : null;
+}
+
+function budgetStatus(entries, budget) {
+  const day = today();
+  const spent = round6(entries.filter(e => e.day === day).reduce((acc, e) => acc + summarizeUsage(e.calls).costUsd, 0));
+  return {
+    day,
+    dailyUsd: budget,
+    spentTodayUsd: spent,
+    remainingUsd: budget == null ? null : round6(Math.max(0, budget - spent)),
+    exceeded: budget != null && spent >= budget
+  };
+}
+
+/**
+ * Refuse a new evaluation once today's recorded cost has reached the daily budget.
+ * @param {object[]} entries stored usage entries
+ * @param {number|null} [budget] defaults to DAILY_BUDGET_USD
+ * @throws 429 with code budget_exceeded (and `retryable: false`, so batch items fail at once)
+ */
+export function checkBudget(entries, budget = dailyBudget()) {
+  const status = budgetStatus(entries, budget);
+  if (!status.exceeded) return status;
+  const err = httpError(429, `Daily evaluation budget of $${budget} reached ($${status.spentTodayUsd} spent on ${status.day} UTC); new evaluations are refused until 00:00 UTC`, 'budget_exceeded');
+  err.retryable = false;
+  throw err;
+}
+
+/**
+ * Validated day range for usageReport: `to` defaults to today, `from` to 29 days earlier.
+ * @throws 400 for anything that isn't YYYY-MM-DD or a reversed range
+ */
+export function parseUsageRange({ from, to } = {}) {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && (!DAY_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+      throw httpError(400, `${name} must be a date as YYYY-MM-DD`);
+    }
+  }
+  const end = to || today();
+  const start = from || dayOf(new Date(Date.parse(end) - (DEFAULT_REPORT_DAYS - 1) * 86400000).toISOString());
+  if (start > end) throw httpError(400, 'from must not be after to');
+  return { from: start, to: end };
+}
+
+// `evaluations` counts distinct saved runs; calls from failed runs only add to tokens and cost
+const totalsOf = (entries) => ({
+  evaluations: new Set(entries.filter(e => e.evaluationId).map(e => e.evaluationId)).size,
+  ...summarizeUsage(entries.flatMap(e => e.calls))
+});
+
+// Group entries by `keyOf(entry)` and total each group; `describe` adds fields from the key
+function groupTotals(entries, keyOf, describe) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return [...groups].map(([key, group]) => ({ ...describe(key, group), ...totalsOf(group) }));
+}
+
+/**
+ * Usage totals over a day range.
+ * @param {object[]} entries stored usage entries
+ * @param {object} options
+ * @param {string} options.from first day (YYYY-MM-DD, UTC), inclusive
+ * @param {string} options.to last day, inclusive
+ * @param {object} [options.videos] video records by id, for titles
+ * @param {number|null} [options.budget] daily budget; defaults to DAILY_BUDGET_USD
+ * @returns {{ from, to, currency, totals, byDay, byEndpoint, byModel, byVideo, budget }}
+ *   every total has `evaluations` plus the summarizeUsage fields
+ */
+export function usageReport(entries, { from, to, videos = {}, budget = dailyBudget() }) {
+  const inRange = entries.filter(e => e.day >= from && e.day <= to);
+  const byCost = (a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens;
+
+  // A call belongs to its model even if an evaluation mixed models, so models are grouped by call
+  const perCall = inRange.flatMap(e => e.calls.map(call => ({ ...e, calls: [call] })));
+  const byModel = groupTotals(perCall, e => `${e.calls[0].provider}/${e.calls[0].model}`, (key, group) => ({
+    provider: group[0].calls[0].provider,
+    model: group[0].calls[0].model
+  }));
+
+  return {
+    from,
+    to,
+    currency: 'USD',
+    totals: totalsOf(inRange),
+    byDay: groupTotals(inRange, e => e.day, day => ({ day })).sort((a, b) => a.day.localeCompare(b.day)),
+    byEndpoint: groupTotals(inRange, e => e.endpoint, endpoint => ({ endpoint })).sort(byCost),
+    byModel: byModel.sort(byCost),
+    byVideo: groupTotals(inRange, e => e.videoId || '', videoId => ({
+      videoId: videoId || null,
+      title: (videoId && videos[videoId]?.title) || null
+    })).sort(byCost),
+    budget: budgetStatus(entries, budget)
+  };
+}
@@ -0,0 +1,211 @@
+/*
+  YouTube video identity and video records.
+  - parseVideoId: every accepted URL form maps to the 11-character video ID, so
+    youtu.be/ID, youtube.com/watch?v=ID&t=30, /shorts/ID, /embed/ID, /live/ID
+    and m. / music. / youtube-nocookie.com links are the same video. Anything
+    else is rejected with a 400.
+  - Video records (videoDetails.json) are keyed by that ID and hold the title,
+    channel, duration, tags and notes. Transcripts are keyed by the same ID.
+  - migrateVideoDB / migrateTranscriptDB rewrite the old URL-keyed data, and
+    migrateVideoStore applies them to a storage backend (storage.js).
+    Entries whose URL can't be parsed are left untouched and reported, so no
+    data is lost; they are ignored by the listing.
+*/
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com']);
+const PATH_PREFIXES = ['shorts', 'embed', 'live', 'v', 'e'];
+
+export const isVideoId = (value) => typeof value === 'string' && ID_PATTERN.test(value);
+
+function invalidUrl(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'invalid_video_url';
+  return err;
+}
+
+/**
+ * Video ID for a YouTube URL (or a bare ID).
+ * @param {string} input
+ * @returns {string} 11-character video ID
+ * @throws 400 for anything that isn't a YouTube video link
+ */
+export function parseVideoId(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) throw invalidUrl('A YouTube video URL is required');
+  if (isVideoId(text)) return text;
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    throw invalidUrl(`Not a valid URL: "${text}"`);
+  }
+  const host = url.hostname.toLowerCase();
+  let id = null;
+  if (host === 'youtu.be' || host === 'www.youtu.be') {
+    id = url.pathname.split('/')[1];
+  } else if (YOUTUBE_HOSTS.has(host)) {
+    const [first, second] = url.pathname.split('/').filter(Boolean);
+    if (first === 'watch') id = url.searchParams.get('v');
+    else if (PATH_PREFIXES.includes(first)) id = second;
+  } else {
+    throw invalidUrl(`Not a YouTube URL: "${text}"`);
+  }
+  if (!isVideoId(id)) throw invalidUrl(`No YouTube video ID found in "${text}"`);
+  return id;
+}
+
+// ID for a URL, or null instead of throwing (legacy records, optional inputs)
+export function tryParseVideoId(input) {
+  try {
+    return parseVideoId(input);
+  } catch {
+    return null;
+  }
+}
+
+export const canonicalVideoUrl = (id) => `https://www.youtube.com/watch?v=${id}`;
+
+// Video ID and canonical URL for a request's `url`; throws a 400 for non-YouTube input
+export function resolveVideo(url) {
+  const videoId = parseVideoId(url);
+  return { videoId, url: canonicalVideoUrl(videoId) };
+}
+
+// Video an evaluation record belongs to; records from before video IDs only carry the URL
+export const videoIdOf = (record) => record.videoId || tryParseVideoId(record.url);
+
+const VIDEO_FIELDS = ['title', 'channel', 'durationSeconds', 'tags', 'notes'];
+
+// Validated subset of `fields` that may be written to a video record
+function cleanFields(fields) {
+  const clean = {};
+  for (const key of VIDEO_FIELDS) {
+    if (!(key in fields) || fields[key] === undefined) continue;
+    const value = fields[key];
+    if (key === 'durationSeconds') {
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) throw invalidField('durationSeconds must be a whole number of seconds');
+      clean[key] = value;
+    } else if (key === 'tags') {
+      if (!Array.isArray(value) || value.some(t => typeof t !== 'string')) throw invalidField('tags must be an array of strings');
+      clean[key] = [...new Set(value.map(t => t.trim()).filter(Boolean))];
+    } else {
+      if (value !== null && typeof value !== 'string') throw invalidField(`${key} must be a string`);
+      clean[key] = value == null ? '' : value.trim();
+    }
+  }
+  return clean;
+}
+
+function invalidField(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Create or update the record for video `id` with the given fields; omitted fields are kept.
+ * @param {object|undefined} existing current record, if any
+ * @param {string} id
+ * @param {{ title?: string, channel?: string, durationSeconds?: number|null, tags?: string[], notes?: string }} fields
+ */
+export function upsertVideoRecord(existing, id, fields = {}) {
+  const now = new Date().toISOString();
+  const base = existing || { id, url: canonicalVideoUrl(id), title: '', channel: '', durationSeconds: null, tags: [], notes: '', createdAt: now };
+  return { ...base, ...cleanFields(fields), id, url: canonicalVideoUrl(id), updatedAt: now };
+}
+
+// Video records in the DB, skipping unmigrated legacy entries
+export const videoRecords = (db) => Object.values(db).filter(v => v && typeof v === 'object' && v.id);
+
+export function titleOf(db, id) {
+  const record = db[id];
+  return record && typeof record === 'object' ? record.title || null : null;
+}
+
+/**
+ * Where a video's transcript and evaluations are served.
+ * @param {string} id
+ * @param {string} [prefix] route prefix ('/api' on Express, '' in the Lambda)
+ */
+export function videoLinks(id, prefix = '') {
+  const url = encodeURIComponent(canonicalVideoUrl(id));
+  return {
+    self: `${prefix}/videos/${id}`,
+    transcript: `${prefix}/transcript?url=${url}`,
+    evaluations: `${prefix}/evaluations?url=${url}`
+  };
+}
+
+/**
+ * Rewrite an old `{ url: title }` videoDetails.json into ID-keyed records.
+ * Several URLs of the same video merge into one record (the first title wins).
+ * @returns {{ db: object, migrated: number, skipped: string[] }} `skipped` lists URLs left as they were
+ */
+export function migrateVideoDB(db) {
+  const entries = Object.entries(db);
+  // Records already keyed by ID go first so a legacy title never overwrites them
+  const next = Object.fromEntries(entries.filter(([, value]) => value && typeof value === 'object'));
+  const skipped = [];
+  let migrated = 0;
+  for (const [key, value] of entries) {
+    if (value && typeof value === 'object') continue;
+    const id = tryParseVideoId(key);
+    if (!id) {
+      next[key] = value;
+      skipped.push(key);
+      continue;
+    }
+    const current = next[id] && typeof next[id] === 'object' ? next[id] : undefined;
+    next[id] = current?.title ? current : upsertVideoRecord(current, id, { title: String(value ?? '') });
+    migrated++;
+  }
+  return { db: next, migrated, skipped };
+}
+
+/**
+ * Re-key a URL-keyed transcripts.json by video ID; the most recently updated transcript wins.
+ * @returns {{ db: object, migrated: number, skipped: string[] }}
+ */
+export function migrateTranscriptDB(db) {
+  const next = {};
+  const skipped = [];
+  let migrated = 0;
+  for (const [key, value] of Object.entries(db)) {
+    const id = isVideoId(key) ? key : tryParseVideoId(key);
+    if (!id) {
+      next[key] = value;
+      skipped.push(key);
+      continue;
+    }
+    if (!next[id] || (value.updatedAt || '') > (next[id].updatedAt || '')) next[id] = value;
+    if (id !== key) migrated++;
+  }
+  return { db: next, migrated, skipped };
+}
+
+/**
+ * Re-key URL-keyed video records and transcripts in a store (storage.js) by video ID.
+ * New keys are written before old ones are deleted, so an interrupted run loses nothing.
+ * @returns {Promise<object>} collection -> { migrated, skipped } for collections that changed
+ */
+export async function migrateVideoStore(store, log = console) {
+  const report = {};
+  for (const [collection, migrate] of [['videos', migrateVideoDB], ['transcripts', migrateTranscriptDB]]) {
+    const db = await store.all(collection);
+    const { db: next, migrated, skipped } = migrate(db);
+    if (!migrated) continue;
+    for (const [key, value] of Object.entries(next)) {
+      if (db[key] !== value) await store.put(collection, key, value);
+    }
+    for (const key of Object.keys(db)) {
+      if (!(key in next)) await store.delete(collection, key);
+    }
+    log.log(`Migrated ${migrated} URL-keyed ${collection} entries to video IDs`);
+    if (skipped.length) log.warn(`Left ${skipped.length} ${collection} entries with unrecognised URLs: ${skipped.join(', ')}`);
+    report[collection] = { migrated, skipped };
+  }
+  return report;
+}